@@ -4,40 +4,27 @@
 
 const path = require("node:path");
 const fs = require("node:fs");
-const os = require("node:os");
 const config = require("../src/config");
 const { createServer } = require("../src/server");
+const { getRendererVersions } = require("../src/vendor");
+const { generateToken } = require("../src/access");
+const daemon = require("../src/daemon");
+const { version } = require("../package.json");
+
+/* --name <instance> may appear anywhere; it selects the state, log and
+   config files of a named instance */
+const argv = process.argv.slice(2);
+const nameIdx = argv.indexOf("--name");
+const instance = nameIdx === -1 ? "default" : argv[nameIdx + 1];
+if (nameIdx !== -1) argv.splice(nameIdx, 2);
+if (!config.INSTANCE_RE.test(instance || "")) {
+    console.error("  ✗ --name needs letters, digits, - or _");
+    process.exit(1);
+}
+config.useInstance(instance);
+daemon.useInstance(instance);
 
-const [cmd, ...rest] = process.argv.slice(2);
-const PID_FILE = path.join(os.tmpdir(), "peekmd.pid");
-
-/* ── PID management ────────────────────────────────────────────────── */
-
-const pid = {
-    read() {
-        try {
-            return parseInt(fs.readFileSync(PID_FILE, "utf-8"), 10);
-        } catch {
-            return null;
-        }
-    },
-    write(id) {
-        fs.writeFileSync(PID_FILE, String(id));
-    },
-    clear() {
-        try {
-            fs.unlinkSync(PID_FILE);
-        } catch {}
-    },
-    alive(id) {
-        try {
-            process.kill(id, 0);
-            return true;
-        } catch {
-            return false;
-        }
-    },
-};
+const [cmd, ...rest] = argv;
 
 /* ── Output ────────────────────────────────────────────────────────── */
 
@@ -79,49 +66,350 @@ const HELP = `
   Server:
     peekmd start                        Start server (daemon)
     peekmd stop                         Stop server
-    peekmd status                       Check server status
+    peekmd status [--all]               Check server status (--all: every instance)
+    peekmd restart                      Restart with the same options
+    peekmd logs [-f]                    Show (or follow) the server log
     peekmd open                         Open browser to server
+    peekmd goto <file>[:line]           Show a file in open browsers, at a line
     PORT=3000 peekmd start              Custom port (default: 4000)
+    peekmd start --name notes           Run a separate named instance
+
+  Preview (foreground, nothing linked):
+    peekmd <file.md>                    Preview one file until Ctrl+C
+    peekmd view <dir|file.md>           Preview a folder or file
+
+  Server options (start/open):
+    --host <addr>                       Bind address (default: 127.0.0.1)
+    --port <number>                     Port (same as PORT=)
+    --read-only                         Disable link/unlink/ignore/browse/edit
+    --cert <file> --key <file>          Serve HTTPS with this certificate
 
   Folders:
     peekmd link <dir> [dir2] ...        Persist folders to config
     peekmd unlink <dir> [dir2] ...      Remove folders from config
     peekmd list                         Show linked folders
+    peekmd trust <dir> [dir2] ...       Render raw HTML in these folders
+    peekmd untrust <dir> [dir2] ...     Sanitize their HTML again (default)
 
   Ignore:
     peekmd ignore <pattern> ...         Ignore folders/files by glob pattern
     peekmd unignore <pattern> ...       Remove an ignore pattern
     peekmd ignored                      Show all active ignore patterns
+    peekmd ignore --folder <dir> <pattern> ...
+                                        Ignore only inside one linked folder
+    Each folder's .gitignore and .peekmdignore apply too ("!" re-includes)
 
   Structured Output:
     peekmd list --json                  Linked folders as JSON
     peekmd ignored --json               Ignore patterns as JSON
-    peekmd status --json                Server status as JSON
+    peekmd status --json [--all]        Server status as JSON
     peekmd search <query>               Search files and content (JSON)
-    peekmd files                        List all markdown files (JSON)
+                                        "phrase", regex:<re>, folder:<name>, path:<glob>,
+                                        tag:<name>, status:<value>
+    peekmd files                        List all documents (JSON)
+
+  Links:
+    peekmd check-links [--json]         Report relative links and #anchors
+                                        with missing targets (exit 1 if any)
+
+  Export:
+    peekmd export <dir> [--out site/]   Write a static HTML site
+    peekmd export <file> --format html [--out file.html]
+                                        One self-contained page (for PDF)
 
   Other:
     peekmd --help                       Show this help
 
   Environment:
     PORT=<number>    Server port (default: 4000)
+    PEEKMD_TOKEN     Access token to use instead of a generated one
+    PEEKMD_CONFIG    Config file to use instead of the default
 
-  Config file: ~/.peekmd.json
+  Instances:
+    --name <name>    Any command acts on this instance (default: "default")
+
+  Config file: ~/.peekmd.json, ~/.peekmd.<name>.json for --name <name>
 `;
 
 /* ── Helpers ───────────────────────────────────────────────────────── */
 
 const resolveDirs = (dirs) => dirs.map((d) => path.resolve(d));
-const getPort = () => Number(process.env.PORT) || 4000;
+const DEFAULT_PORT = 4000;
+const getPort = () => Number(process.env.PORT) || DEFAULT_PORT;
 
 function openBrowser(url) {
     const open =
         process.platform === "darwin"
             ? "open"
             : process.platform === "win32"
-              ? "start"
+              ? 'start ""'
               : "xdg-open";
-    require("node:child_process").exec(`${open} ${url}`);
+    require("node:child_process").exec(`${open} "${url}"`);
+}
+
+/* start/open/__serve__ flags; any other argument is a folder to show */
+function parseServeArgs(args) {
+    const opts = {
+        dirs: [],
+        host: "127.0.0.1",
+        readOnly: false,
+        cert: null,
+        key: null,
+        port: null,
+    };
+    const valueFlags = {
+        "--host": "host",
+        "--cert": "cert",
+        "--key": "key",
+        "--port": "port",
+    };
+    for (let i = 0; i < args.length; i++) {
+        const a = args[i];
+        if (valueFlags[a]) {
+            if (!args[i + 1]) fail(`${a} needs a value`);
+            opts[valueFlags[a]] = args[++i];
+        } else if (a === "--read-only") opts.readOnly = true;
+        else opts.dirs.push(a);
+    }
+    if (!opts.cert !== !opts.key) fail("--cert and --key go together");
+    if (opts.port !== null) {
+        opts.port = Number(opts.port);
+        if (!Number.isInteger(opts.port) || opts.port < 1 || opts.port > 65535)
+            fail("--port needs a number between 1 and 65535");
+    }
+    for (const file of [opts.cert, opts.key])
+        if (file && !fs.existsSync(file))
+            fail(`${path.resolve(file)} — not found`);
+    return opts;
+}
+
+function fail(message) {
+    console.error("  ✗ %s", message);
+    process.exit(1);
+}
+
+/* 0.0.0.0 and :: listen everywhere; point the browser at this machine */
+function serverUrl({ host, cert }, port = getPort()) {
+    const shown = ["0.0.0.0", "::"].includes(host)
+        ? "localhost"
+        : host.includes(":")
+          ? `[${host}]`
+          : host;
+    return `${cert ? "https" : "http"}://${shown}:${port}`;
+}
+
+/* ask the OS for an unused port on the bind address */
+function freePort(host) {
+    return new Promise((resolve, reject) => {
+        const probe = require("node:net").createServer();
+        probe.once("error", reject);
+        probe.listen(0, host, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/* foreground preview of one folder or Markdown file; the config file is
+   neither read for folders nor written */
+async function viewOnce(args) {
+    const opts = parseServeArgs(args);
+    if (opts.dirs.length !== 1) fail("Usage: peekmd view <dir|file.md>");
+    const target = path.resolve(opts.dirs[0]);
+    if (!fs.existsSync(target)) fail(`${target} — not found`);
+    const isFile = fs.statSync(target).isFile();
+    if (isFile && !config.docType(target))
+        fail(
+            `${target} — not a document type (see "extensions" in the config)`,
+        );
+
+    const folder = isFile ? path.dirname(target) : target;
+    const port =
+        opts.port || (process.env.PORT ? getPort() : await freePort(opts.host));
+    const token = process.env.PEEKMD_TOKEN || generateToken();
+    const { close } = await createServer({
+        port,
+        host: opts.host,
+        token,
+        readOnly: true,
+        tls: opts.cert
+            ? {
+                  cert: fs.readFileSync(opts.cert),
+                  key: fs.readFileSync(opts.key),
+              }
+            : null,
+        extraDirs: [folder],
+        exclusive: true,
+        onlyFiles: isFile ? [target] : null,
+    });
+
+    const segs = [
+        config.getDisplayNames([folder])[0],
+        ...(isFile ? [path.basename(target)] : []),
+    ];
+    const url = `${serverUrl(opts, port)}/view/${segs.map(encodeURIComponent).join("/")}?token=${token}`;
+    console.log(BANNER);
+    console.log("  %s\n", url);
+    console.log("  Press Ctrl+C to stop\n");
+    openBrowser(url);
+    process.once("SIGINT", async () => {
+        await close();
+        process.exit(0);
+    });
+}
+
+const nameFlag = instance === "default" ? "" : ` --name ${instance}`;
+
+function printStarted(url, token) {
+    console.log(BANNER);
+    console.log("  %s/?token=%s\n", url, token);
+    console.log("  To stop: peekmd stop%s\n", nameFlag);
+}
+
+/* the same server flags with every path made absolute, for restart */
+function serveArgs(opts) {
+    return [
+        ...resolveDirs(opts.dirs),
+        ...(opts.host !== "127.0.0.1" ? ["--host", opts.host] : []),
+        ...(opts.port ? ["--port", String(opts.port)] : []),
+        ...(opts.readOnly ? ["--read-only"] : []),
+        ...(opts.cert
+            ? [
+                  "--cert",
+                  path.resolve(opts.cert),
+                  "--key",
+                  path.resolve(opts.key),
+              ]
+            : []),
+    ];
+}
+
+/* ignore/unignore: [--folder <dir>] <pattern> ... */
+function parseIgnoreArgs(args) {
+    const i = args.indexOf("--folder");
+    if (i === -1) return { folder: undefined, patterns: args };
+    if (!args[i + 1]) fail("--folder needs a directory");
+    return {
+        folder: args[i + 1],
+        patterns: args.filter((_, j) => j !== i && j !== i + 1),
+    };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* port of a new daemon without --port: PORT, else 4000 for the default
+   instance; named instances take any free port so they never collide */
+async function daemonPort(opts) {
+    if (process.env.PORT || instance === "default") return getPort();
+    return freePort(opts.host);
+}
+
+/* spawn the detached server and wait until it reports itself listening */
+async function startDaemon(args, { port, token } = {}) {
+    const opts = parseServeArgs(args);
+    port = opts.port || port || (await daemonPort(opts));
+    const child = require("node:child_process").spawn(
+        process.execPath,
+        [__filename, "__serve__", "--name", instance, ...args],
+        {
+            stdio: "ignore",
+            detached: true,
+            env: {
+                ...process.env,
+                PORT: String(port),
+                PEEKMD_CONFIG: config.getConfigPath(),
+                PEEKMD_TOKEN:
+                    token || process.env.PEEKMD_TOKEN || generateToken(),
+            },
+        },
+    );
+    child.unref();
+
+    for (let waited = 0; waited < 10000; waited += 100) {
+        await sleep(100);
+        const info = daemon.state.read();
+        if (info?.pid === child.pid) return info;
+        if (!daemon.alive(child.pid)) break;
+    }
+    console.error("  ✗ Server failed to start. Last log lines:\n");
+    for (const line of daemon.tailLog(10)) console.error("    " + line);
+    process.exit(1);
+}
+
+/* SIGTERM, then wait for the graceful shutdown to finish */
+async function stopDaemon(info) {
+    try {
+        process.kill(info.pid, "SIGTERM");
+    } catch (e) {
+        fail(`Failed to stop: ${e.message}`);
+    }
+    for (let waited = 0; waited < 5000; waited += 100) {
+        if (!daemon.alive(info.pid)) break;
+        await sleep(100);
+    }
+    if (daemon.alive(info.pid)) process.kill(info.pid, "SIGKILL");
+    daemon.state.clear(info.pid);
+}
+
+const uptimeOf = (info) =>
+    Math.round((Date.now() - Date.parse(info.startedAt)) / 1000);
+
+function printStatus(info) {
+    console.log(
+        "  ✓ Server running (%sPID: %d, %s, v%s, up %ds%s)",
+        instance === "default" ? "" : `${instance}, `,
+        info.pid,
+        info.url,
+        info.version,
+        uptimeOf(info),
+        info.readOnly ? ", read-only" : "",
+    );
+}
+
+/* `status --all`: every running instance with its health */
+async function printAllStatus(json) {
+    const all = await Promise.all(
+        daemon.listInstances().map(async (info) => ({
+            info,
+            healthy: !!(await daemon.probeHealth(info)),
+        })),
+    );
+    if (json) {
+        console.log(
+            JSON.stringify(
+                all.map(({ info, healthy }) => ({
+                    name: info.name,
+                    healthy,
+                    pid: info.pid,
+                    port: info.port,
+                    host: info.host,
+                    url: info.url,
+                    token: info.token,
+                    readOnly: info.readOnly,
+                    version: info.version,
+                    startedAt: info.startedAt,
+                    config: info.config,
+                })),
+                null,
+                2,
+            ),
+        );
+        return;
+    }
+    if (!all.length) return console.log("  No servers running");
+    console.log("\n  Running instances:\n");
+    printTable(
+        ["Name", "PID", "URL", "Version", "Uptime", "Health"],
+        all.map(({ info, healthy }) => [
+            info.name,
+            String(info.pid),
+            info.url,
+            info.version,
+            `${uptimeOf(info)}s`,
+            healthy ? "ok" : "not answering",
+        ]),
+    );
+    console.log();
 }
 
 /* ── Commands ──────────────────────────────────────────────────────── */
@@ -161,13 +449,46 @@ switch (cmd) {
         break;
     }
 
+    case "trust": {
+        if (!rest.length) {
+            console.error("  Usage: peekmd trust <dir> [dir2] ...");
+            process.exit(1);
+        }
+        for (const dir of rest) {
+            const r = config.trustFolder(dir);
+            if (r.error) console.error("  ✗ %s — %s", r.path, r.error);
+            else if (r.trusted) console.log("  ✓ Trusted    %s", r.path);
+            else console.log("  · Already trusted    %s", r.path);
+        }
+        break;
+    }
+
+    case "untrust": {
+        if (!rest.length) {
+            console.error("  Usage: peekmd untrust <dir> [dir2] ...");
+            process.exit(1);
+        }
+        for (const dir of rest) {
+            const r = config.untrustFolder(dir);
+            console.log(
+                r.untrusted ? "  ✓ Untrusted    %s" : "  · Not trusted    %s",
+                r.path,
+            );
+        }
+        break;
+    }
+
     case "list": {
         const folders = config.getFolders();
         if (rest.includes("--json")) {
             const names = config.getDisplayNames(folders);
             console.log(
                 JSON.stringify(
-                    folders.map((f, i) => ({ name: names[i], path: f })),
+                    folders.map((f, i) => ({
+                        name: names[i],
+                        path: f,
+                        trusted: config.isTrusted(f),
+                    })),
                     null,
                     2,
                 ),
@@ -181,158 +502,199 @@ switch (cmd) {
         const names = config.getDisplayNames(folders);
         console.log("\n  Linked folders:\n");
         printTable(
-            ["Name", "Path"],
-            folders.map((f, i) => [names[i], f]),
+            ["Name", "Path", "Trusted"],
+            folders.map((f, i) => [
+                names[i],
+                f,
+                config.isTrusted(f) ? "yes" : "",
+            ]),
         );
         console.log();
         break;
     }
 
     case "start": {
-        const existing = pid.read();
-        if (existing && pid.alive(existing)) {
-            console.log("  Server already running (PID: %d)", existing);
+        const running = daemon.state.read();
+        if (running) {
+            console.log(
+                "  Server already running (PID: %d, %s)",
+                running.pid,
+                running.url,
+            );
             process.exit(0);
         }
-        pid.clear();
-
-        const child = require("node:child_process").spawn(
-            process.execPath,
-            [__filename, "__serve__", ...rest],
-            {
-                stdio: "ignore",
-                detached: true,
-                env: { ...process.env, PORT: String(getPort()) },
-            },
-        );
-        child.unref();
-        pid.write(child.pid);
-
-        const url = `http://localhost:${getPort()}`;
-        console.log(BANNER);
-        console.log("  %s\n", url);
-        console.log("  To stop: peekmd stop\n");
-        openBrowser(url);
+        startDaemon(rest).then((info) => {
+            printStarted(info.url, info.token);
+            openBrowser(`${info.url}/?token=${info.token}`);
+        });
         break;
     }
 
     case "stop": {
-        const id = pid.read();
-        if (!id || !pid.alive(id)) {
-            console.log(
-                id
-                    ? "  PID %d is not running"
-                    : "  No background server running",
-                id,
-            );
-            pid.clear();
+        const running = daemon.state.read();
+        if (!running) {
+            console.log("  No background server running");
             break;
         }
-        try {
-            process.kill(id, "SIGTERM");
-        } catch (e) {
-            console.error("  ✗ Failed to stop: %s", e.message);
-            break;
-        }
-        pid.clear();
-        console.log("  ✓ Server stopped");
+        stopDaemon(running).then(() => console.log("  ✓ Server stopped"));
         break;
     }
 
-    case "status": {
-        const id = pid.read();
-        const running = !!(id && pid.alive(id));
-        if (!running && id) pid.clear();
-        if (rest.includes("--json")) {
-            console.log(
-                JSON.stringify({
-                    running,
-                    pid: running ? id : null,
-                    port: Number(process.env.PORT) || 4000,
-                }),
+    case "restart": {
+        /* same flags, port and token, so open tabs reconnect by themselves */
+        const running = daemon.state.read();
+        (async () => {
+            if (running) await stopDaemon(running);
+            const info = await startDaemon(
+                rest.length ? rest : running?.args || [],
+                {
+                    port: running?.port,
+                    token: running?.token,
+                },
             );
+            printStatus(info);
+        })();
+        break;
+    }
+
+    case "status": {
+        if (rest.includes("--all")) {
+            printAllStatus(rest.includes("--json"));
             break;
         }
-        if (running) {
-            console.log(
-                "  ✓ Server running (PID: %d, port: %s)",
-                id,
-                process.env.PORT || 4000,
-            );
-        } else {
-            console.log("  Server not running");
-        }
+        const running = daemon.state.read();
+        (async () => {
+            const health = running ? await daemon.probeHealth(running) : null;
+            if (rest.includes("--json")) {
+                console.log(
+                    JSON.stringify({
+                        name: instance,
+                        running: !!running,
+                        healthy: !!health,
+                        pid: running?.pid ?? null,
+                        port: running?.port ?? null,
+                        host: running?.host ?? null,
+                        url: running?.url ?? null,
+                        token: running?.token ?? null,
+                        readOnly: running?.readOnly ?? false,
+                        version: running?.version ?? null,
+                        startedAt: running?.startedAt ?? null,
+                        config: config.getConfigPath(),
+                        renderers: getRendererVersions(),
+                    }),
+                );
+                return;
+            }
+            if (!running) return console.log("  Server not running");
+            printStatus(running);
+            if (!health)
+                console.log("  ✗ Not answering /api/health — see: peekmd logs");
+        })();
+        break;
+    }
+
+    case "logs": {
+        const lines = daemon.tailLog(rest.includes("-f") ? 20 : 200);
+        if (!lines.length && !rest.includes("-f"))
+            console.log("  No log yet (%s)", daemon.logPath());
+        for (const line of lines) console.log(line);
+        if (rest.includes("-f"))
+            daemon.followLog((text) => process.stdout.write(text));
         break;
     }
 
     case "open": {
-        const id = pid.read();
-        const running = !!(id && pid.alive(id));
-        if (!running && id) pid.clear();
+        const running = daemon.state.read();
         if (running) {
-            const url = `http://localhost:${getPort()}`;
-            console.log(BANNER);
-            console.log("  %s\n", url);
-            console.log("  To stop: peekmd stop\n");
-            openBrowser(url);
-        } else {
-            console.log("  Server not running. Starting...");
-            pid.clear();
-
-            const child = require("node:child_process").spawn(
-                process.execPath,
-                [__filename, "__serve__", ...rest],
-                {
-                    stdio: "ignore",
-                    detached: true,
-                    env: { ...process.env, PORT: String(getPort()) },
-                },
-            );
-            child.unref();
-            pid.write(child.pid);
-
-            const url = `http://localhost:${getPort()}`;
-            console.log(BANNER);
-            console.log("  %s\n", url);
-            console.log("  To stop: peekmd stop\n");
-            openBrowser(url);
+            printStarted(running.url, running.token);
+            openBrowser(`${running.url}/?token=${running.token}`);
+            break;
         }
+        console.log("  Server not running. Starting...");
+        startDaemon(rest).then((info) => {
+            printStarted(info.url, info.token);
+            openBrowser(`${info.url}/?token=${info.token}`);
+        });
+        break;
+    }
+
+    case "goto": {
+        /* file[:line[:column]], as editors print locations */
+        const m = /^(.+?)(?::(\d+))?(?::\d+)?$/.exec(rest[0] || "");
+        if (!m) {
+            console.error("  Usage: peekmd goto <file>[:line]");
+            process.exit(1);
+        }
+        const file = path.resolve(m[1]);
+        const line = m[2] ? Number(m[2]) || null : null;
+        if (!fs.existsSync(file)) fail(`${file} — not found`);
+        const running = daemon.state.read();
+        if (!running)
+            fail(`Server not running — start it: peekmd start${nameFlag}`);
+        daemon
+            .postJson(running, "/api/goto", { file, line })
+            .then(({ status, body }) => {
+                if (status !== 200)
+                    fail(`${file} — ${body?.error || "server not answering"}`);
+                const where = line ? `${body.path}:${line}` : body.path;
+                if (!body.viewers)
+                    console.log(
+                        "  · No browser is open — open one: peekmd open%s",
+                        nameFlag,
+                    );
+                else
+                    console.log(
+                        "  \u2713 Showing %s in %d viewer%s",
+                        where,
+                        body.viewers,
+                        body.viewers === 1 ? "" : "s",
+                    );
+            });
         break;
     }
 
     case "ignore": {
-        if (!rest.length) {
-            console.error("  Usage: peekmd ignore <pattern> [pattern2] ...");
+        const { folder, patterns } = parseIgnoreArgs(rest);
+        if (!patterns.length) {
+            console.error(
+                "  Usage: peekmd ignore [--folder <dir>] <pattern> [pattern2] ...",
+            );
             console.error(
                 "  Examples: peekmd ignore '**/node_modules/**' '**/dist/**'",
             );
             console.error("           peekmd ignore '**/*.draft.md'");
             process.exit(1);
         }
-        for (const p of rest) {
-            const r = config.addIgnorePattern(p);
+        for (const p of patterns) {
+            const r = config.addIgnorePattern(p, folder);
+            if (r.error) fail(`${r.folder} — ${r.error}`);
             console.log(
                 r.added
-                    ? "  \u2713 Ignoring    %s"
-                    : "  \u00b7 Already ignored    %s",
+                    ? "  \u2713 Ignoring    %s%s"
+                    : "  \u00b7 Already ignored    %s%s",
                 p,
+                folder ? `  (in ${r.folder})` : "",
             );
         }
         break;
     }
 
     case "unignore": {
-        if (!rest.length) {
-            console.error("  Usage: peekmd unignore <pattern> [pattern2] ...");
+        const { folder, patterns } = parseIgnoreArgs(rest);
+        if (!patterns.length) {
+            console.error(
+                "  Usage: peekmd unignore [--folder <dir>] <pattern> [pattern2] ...",
+            );
             process.exit(1);
         }
-        for (const p of rest) {
-            const r = config.removeIgnorePattern(p);
+        for (const p of patterns) {
+            const r = config.removeIgnorePattern(p, folder);
             console.log(
                 r.removed
-                    ? "  \u2713 Removed    %s"
-                    : "  \u00b7 Not in ignore list    %s",
+                    ? "  \u2713 Removed    %s%s"
+                    : "  \u00b7 Not in ignore list    %s%s",
                 p,
+                folder ? `  (in ${r.folder})` : "",
             );
         }
         break;
@@ -340,10 +702,27 @@ switch (cmd) {
 
     case "ignored": {
         const patterns = config.getIgnorePatterns();
+        /* per linked folder: scoped patterns and .gitignore/.peekmdignore */
+        const scoped = config.getFolderIgnorePatterns();
+        const perFolder = config.getFolders().map((folder) => ({
+            folder,
+            patterns: scoped[folder] || [],
+            files: config.readIgnoreFiles(folder),
+        }));
         if (rest.includes("--json")) {
             console.log(
                 JSON.stringify(
-                    patterns.map((p) => ({ pattern: p })),
+                    [
+                        ...patterns.map((p) => ({ pattern: p })),
+                        ...perFolder.flatMap(({ folder, patterns, files }) => [
+                            ...patterns.map((p) => ({ pattern: p, folder })),
+                            ...files.map((r) => ({
+                                pattern: r.pattern,
+                                folder,
+                                file: r.file,
+                            })),
+                        ]),
+                    ],
                     null,
                     2,
                 ),
@@ -360,6 +739,13 @@ switch (cmd) {
         for (const p of patterns) {
             console.log("    %s", p);
         }
+        for (const { folder, patterns, files } of perFolder) {
+            if (!patterns.length && !files.length) continue;
+            console.log("\n  In %s:\n", folder);
+            for (const p of patterns) console.log("    %s", p);
+            for (const r of files)
+                console.log("    %s  (%s)", r.pattern, r.file);
+        }
         console.log();
         break;
     }
@@ -374,12 +760,15 @@ switch (cmd) {
         const { searchCli } = require("../src/server");
         searchCli(config.getFolders(), query)
             .then((r) => console.log(JSON.stringify(r, null, 2)))
-            .catch(() => process.exit(1));
+            .catch((e) => {
+                console.error("  ✗ %s", e.message);
+                process.exit(1);
+            });
         break;
     }
 
     case "files": {
-        /* List all markdown files across linked folders — JSON output */
+        /* List all documents across linked folders — JSON output */
         const { listFilesCli } = require("../src/server");
         listFilesCli(config.getFolders())
             .then((r) => console.log(JSON.stringify(r, null, 2)))
@@ -387,16 +776,162 @@ switch (cmd) {
         break;
     }
 
+    case "check-links": {
+        const folders = config.getFolders();
+        const { checkLinksCli } = require("../src/server");
+        checkLinksCli(folders)
+            .then((broken) => {
+                if (rest.includes("--json")) {
+                    console.log(JSON.stringify(broken, null, 2));
+                } else if (!broken.length) {
+                    console.log("  ✓ No broken links");
+                } else {
+                    const names = config.getDisplayNames(folders);
+                    const nameOf = (f) => names[folders.indexOf(f)];
+                    console.log("\n  Broken links:\n");
+                    printTable(
+                        ["File", "Line", "Link", "Problem"],
+                        broken.map((b) => [
+                            nameOf(b.folder) + "/" + b.file,
+                            String(b.line),
+                            b.href,
+                            b.reason,
+                        ]),
+                    );
+                    console.log();
+                }
+                if (broken.length) process.exitCode = 1;
+            })
+            .catch((e) => {
+                console.error("  ✗ %s", e.message);
+                process.exit(1);
+            });
+        break;
+    }
+
+    case "export": {
+        /* --out and --format take a value; anything else is the target */
+        const flags = { "--out": null, "--format": "site" };
+        const args = [];
+        for (let i = 0; i < rest.length; i++) {
+            if (rest[i] in flags) flags[rest[i]] = rest[++i];
+            else if (!rest[i].startsWith("--")) args.push(rest[i]);
+        }
+        const target = args[0];
+        const format = flags["--format"];
+        if (!target || !["site", "html"].includes(format)) {
+            console.error(
+                "  Usage: peekmd export <dir> [--out <dir>]\n" +
+                    "         peekmd export <file> --format html [--out <file.html>]",
+            );
+            process.exit(1);
+        }
+        const abs = path.resolve(target);
+        const isDir = fs.existsSync(abs) && fs.statSync(abs).isDirectory();
+        const onError = (e) => fail(`Export failed: ${e.message}`);
+        const { exportCli, exportFileCli } = require("../src/server");
+
+        if (format === "site") {
+            if (!isDir) fail(`${abs} — not a directory`);
+            exportCli(abs, path.resolve(flags["--out"] || "site"))
+                .then((r) =>
+                    console.log(
+                        "  ✓ Exported %d pages, %d assets → %s",
+                        r.pages,
+                        r.assets,
+                        r.out,
+                    ),
+                )
+                .catch(onError);
+            break;
+        }
+
+        /* --format html: one page with everything inlined */
+        if (isDir) fail(`${abs} — --format html exports a single file`);
+        if (!fs.existsSync(abs)) fail(`${abs} — not found`);
+        if (!config.docType(abs)) fail(`${abs} — not a document`);
+        const out =
+            flags["--out"] ||
+            path.basename(abs).replace(/\.[^.]+$/, "") + ".html";
+        exportFileCli(abs, path.resolve(out))
+            .then((r) =>
+                console.log(
+                    "  ✓ Exported %s, %d assets inlined → %s",
+                    path.basename(abs),
+                    r.assets,
+                    r.out,
+                ),
+            )
+            .catch(onError);
+        break;
+    }
+
     case "__serve__": {
         /* Internal: spawned by 'start' as a detached daemon */
-        const extra = rest.length ? resolveDirs(rest) : [];
-        const port = getPort();
+        const opts = parseServeArgs(rest);
+        const log = daemon.createLogger();
+        const token = process.env.PEEKMD_TOKEN || generateToken();
+        process.on("uncaughtException", (err) => {
+            log("crashed:", err);
+            daemon.state.clear(process.pid);
+            process.exit(1);
+        });
+
+        createServer({
+            port: opts.port || getPort(),
+            host: opts.host,
+            token,
+            readOnly: opts.readOnly,
+            tls: opts.cert
+                ? {
+                      cert: fs.readFileSync(opts.cert),
+                      key: fs.readFileSync(opts.key),
+                  }
+                : null,
+            extraDirs: resolveDirs(opts.dirs),
+            log,
+        })
+            .then(({ port, close }) => {
+                daemon.state.write({
+                    name: instance,
+                    pid: process.pid,
+                    port,
+                    host: opts.host,
+                    url: serverUrl(opts, port),
+                    token,
+                    readOnly: opts.readOnly,
+                    version,
+                    startedAt: new Date().toISOString(),
+                    config: config.getConfigPath(),
+                    args: serveArgs(opts),
+                });
+                const shutdown = async (signal) => {
+                    log(`received ${signal}`);
+                    await close();
+                    daemon.state.clear(process.pid);
+                    process.exit(0);
+                };
+                process.once("SIGTERM", shutdown);
+                process.once("SIGINT", shutdown);
+            })
+            .catch((err) => {
+                log("failed to start:", err);
+                process.exit(1);
+            });
+        break;
+    }
 
-        createServer({ port, extraDirs: extra }).catch(() => process.exit(1));
+    case "view": {
+        viewOnce(rest).catch((e) => fail(e.message));
         break;
     }
 
     default: {
+        /* `peekmd README.md` is short for `peekmd view README.md` */
+        if (cmd && fs.existsSync(cmd) && fs.statSync(cmd).isFile()) {
+            viewOnce([cmd, ...rest]).catch((e) => fail(e.message));
+            break;
+        }
         console.log(HELP);
         break;
     }
@@ -0,0 +1,80 @@
+"use strict";
+
+const crypto = require("node:crypto");
+
+/** Random URL-safe access token. */
+function generateToken() {
+    return crypto.randomBytes(24).toString("base64url");
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || "").split(";")) {
+        const i = part.indexOf("=");
+        if (i !== -1)
+            cookies[part.slice(0, i).trim()] = decodeURIComponent(
+                part.slice(i + 1).trim(),
+            );
+    }
+    return cookies;
+}
+
+/**
+ * Token check shared by the HTTP routes and the WebSocket upgrade. A token
+ * is accepted as `Authorization: Bearer <token>`, as a `?token=` query
+ * parameter, or from the cookie set when a browser opens a `?token=` link.
+ * @param {object} opts
+ * @param {string} opts.token - Expected access token
+ * @param {number} opts.port - Server port; cookies are per host, not port
+ * @param {boolean} [opts.secure] - Mark the cookie HTTPS-only
+ */
+function createAccess({ token, port, secure = false }) {
+    const cookieName = `peekmd_${port}`;
+    const expected = Buffer.from(token);
+
+    const matches = (value) => {
+        if (!value) return false;
+        const given = Buffer.from(String(value));
+        return (
+            given.length === expected.length &&
+            crypto.timingSafeEqual(given, expected)
+        );
+    };
+
+    /** @param {import("node:http").IncomingMessage} req */
+    function authorized(req) {
+        const bearer = /^Bearer\s+(\S+)$/i.exec(
+            req.headers.authorization || "",
+        );
+        const query = new URL(req.url, "http://peekmd").searchParams;
+        return (
+            matches(bearer?.[1]) ||
+            matches(query.get("token")) ||
+            matches(parseCookies(req.headers.cookie)[cookieName])
+        );
+    }
+
+    /* page loads: trade ?token= for a cookie and drop it from the address bar */
+    function login(req, res, next) {
+        if (req.method !== "GET" || req.path.startsWith("/api/")) return next();
+        const url = new URL(req.originalUrl, "http://peekmd");
+        if (!matches(url.searchParams.get("token"))) return next();
+        res.cookie(cookieName, token, {
+            httpOnly: true,
+            sameSite: "strict",
+            secure,
+            path: "/",
+        });
+        url.searchParams.delete("token");
+        res.redirect(url.pathname + url.search);
+    }
+
+    function requireToken(req, res, next) {
+        if (authorized(req)) return next();
+        res.status(401).json({ error: "access token required" });
+    }
+
+    return { authorized, login, requireToken };
+}
+
+module.exports = { generateToken, createAccess };
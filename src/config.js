@@ -4,18 +4,41 @@ const fs = require("node:fs");
 const path = require("node:path");
 const picomatch = require("picomatch");
 
-const CONFIG_PATH = path.join(require("node:os").homedir(), ".peekmd.json");
+const HOME = require("node:os").homedir();
+
+/* PEEKMD_CONFIG wins; otherwise ~/.peekmd.json, or ~/.peekmd.<name>.json
+   for a named instance (see useInstance) */
+let configPath = process.env.PEEKMD_CONFIG
+    ? path.resolve(process.env.PEEKMD_CONFIG)
+    : path.join(HOME, ".peekmd.json");
+
+/** Instance names double as file names. */
+const INSTANCE_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Switch to the config file of a named instance.
+ * @param {string} name - "default" keeps ~/.peekmd.json
+ */
+function useInstance(name) {
+    if (!process.env.PEEKMD_CONFIG && name !== "default")
+        configPath = path.join(HOME, `.peekmd.${name}.json`);
+    clearGlobCache();
+}
+
+function getConfigPath() {
+    return configPath;
+}
 
 function read() {
     try {
-        return JSON.parse(fs.readFileSync(CONFIG_PATH, "utf-8"));
+        return JSON.parse(fs.readFileSync(configPath, "utf-8"));
     } catch {
         return { folders: [] };
     }
 }
 
 function write(data) {
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(data, null, 2) + "\n");
+    fs.writeFileSync(configPath, JSON.stringify(data, null, 2) + "\n");
 }
 
 function getFolders() {
@@ -43,11 +66,43 @@ function unlinkFolder(dir) {
     const idx = data.folders.indexOf(abs);
     if (idx === -1) return { removed: false, path: abs };
     data.folders.splice(idx, 1);
+    if (data.trusted) data.trusted = data.trusted.filter((f) => f !== abs);
+    if (data.folderIgnore) delete data.folderIgnore[abs];
     write(data);
     clearGlobCache();
     return { removed: true, path: abs };
 }
 
+/* ── Trusted folders ───────────────────────────────────────────────── */
+
+/* documents in trusted folders render raw HTML as written; everything else
+   is sanitized (see peekMarkdown.sanitizeHtml) */
+function isTrusted(folder) {
+    return (read().trusted || []).includes(folder);
+}
+
+function trustFolder(dir) {
+    const abs = path.resolve(dir);
+    const data = read();
+    if (!data.folders.includes(abs))
+        return { trusted: false, path: abs, error: "folder not linked" };
+    if (!data.trusted) data.trusted = [];
+    if (data.trusted.includes(abs)) return { trusted: false, path: abs };
+    data.trusted.push(abs);
+    write(data);
+    return { trusted: true, path: abs };
+}
+
+function untrustFolder(dir) {
+    const abs = path.resolve(dir);
+    const data = read();
+    const idx = (data.trusted || []).indexOf(abs);
+    if (idx === -1) return { untrusted: false, path: abs };
+    data.trusted.splice(idx, 1);
+    write(data);
+    return { untrusted: true, path: abs };
+}
+
 function getDisplayNames(folders) {
     const counts = {};
     for (const f of folders) {
@@ -60,6 +115,44 @@ function getDisplayNames(folders) {
     });
 }
 
+/* ── Document types ────────────────────────────────────────────────── */
+
+/* "extensions" are rendered as Markdown (.mdx with JSX placeholders);
+   "textExtensions" are listed too and shown as highlighted code */
+const DEFAULT_EXTENSIONS = [".md", ".markdown", ".mdown", ".mdx"];
+
+let _docTypes = null;
+
+function getDocExtensions() {
+    if (!_docTypes) {
+        const data = read();
+        const norm = (list) =>
+            list.map((e) => (e.startsWith(".") ? e : "." + e).toLowerCase());
+        _docTypes = {
+            markdown: norm(data.extensions || DEFAULT_EXTENSIONS),
+            text: norm(data.textExtensions || []),
+        };
+    }
+    return _docTypes;
+}
+
+/**
+ * How a file is shown, by extension; null if it is not a document.
+ * @param {string} file
+ * @returns {{kind: "markdown"|"mdx"|"text", lang: string}|null} `lang` is
+ *   the highlighting language of text files
+ */
+function docType(file) {
+    const ext = path.extname(file).toLowerCase();
+    if (!ext) return null;
+    const { markdown, text } = getDocExtensions();
+    if (markdown.includes(ext))
+        return { kind: ext === ".mdx" ? "mdx" : "markdown", lang: "" };
+    if (text.includes(ext))
+        return { kind: "text", lang: ext === ".txt" ? "" : ext.slice(1) };
+    return null;
+}
+
 /* ── Ignore patterns ───────────────────────────────────────────────── */
 
 const DEFAULT_IGNORE = [
@@ -124,25 +217,127 @@ function getIgnorePatterns() {
     return [...DEFAULT_IGNORE, ...user];
 }
 
-function addIgnorePattern(pattern) {
+/** Patterns that only apply to one linked folder: { folder: [pattern] } */
+function getFolderIgnorePatterns() {
+    return read().folderIgnore || {};
+}
+
+/**
+ * Add an ignore pattern, for every folder or only for `folder`.
+ * @param {string} pattern
+ * @param {string} [folder] - Linked folder the pattern is scoped to
+ */
+function addIgnorePattern(pattern, folder) {
     const data = read();
-    if (!data.ignore) data.ignore = [];
-    if (data.ignore.includes(pattern)) return { added: false, pattern };
-    data.ignore.push(pattern);
+    let list;
+    if (folder) {
+        folder = path.resolve(folder);
+        if (!data.folders.includes(folder))
+            return {
+                added: false,
+                pattern,
+                folder,
+                error: "folder not linked",
+            };
+        if (!data.folderIgnore) data.folderIgnore = {};
+        list = data.folderIgnore[folder] ??= [];
+    } else list = data.ignore ??= [];
+    if (list.includes(pattern)) return { added: false, pattern, folder };
+    list.push(pattern);
     write(data);
     clearGlobCache();
-    return { added: true, pattern };
+    return { added: true, pattern, folder };
 }
 
-function removeIgnorePattern(pattern) {
+/**
+ * Remove an ignore pattern, from the global list or from `folder`'s.
+ * @param {string} pattern
+ * @param {string} [folder]
+ */
+function removeIgnorePattern(pattern, folder) {
     const data = read();
-    if (!data.ignore) return { removed: false, pattern };
-    const idx = data.ignore.indexOf(pattern);
-    if (idx === -1) return { removed: false, pattern };
-    data.ignore.splice(idx, 1);
+    if (folder) folder = path.resolve(folder);
+    const list = folder ? data.folderIgnore?.[folder] : data.ignore;
+    const idx = list ? list.indexOf(pattern) : -1;
+    if (idx === -1) return { removed: false, pattern, folder };
+    list.splice(idx, 1);
+    if (folder && !list.length) delete data.folderIgnore[folder];
     write(data);
     clearGlobCache();
-    return { removed: true, pattern };
+    return { removed: true, pattern, folder };
+}
+
+/* ── Ignore files ──────────────────────────────────────────────────── */
+
+/* read from the root of each linked folder, in this order */
+const IGNORE_FILES = [".gitignore", ".peekmdignore"];
+
+/**
+ * Turn a .gitignore line into a glob rule; null for blanks and comments.
+ * Patterns without an inner "/" match at any depth, and every match also
+ * covers what lies below it.
+ */
+function parseIgnoreLine(line) {
+    let p = line.replace(/(?<!\\)\s+$/, "");
+    if (!p || p.startsWith("#")) return null;
+    const negate = p.startsWith("!");
+    if (negate || p.startsWith("\\!") || p.startsWith("\\#")) p = p.slice(1);
+    p = p.replace(/\/+$/, "");
+    if (!p) return null;
+    const glob = p.includes("/") ? p.replace(/^\//, "") : `**/${p}`;
+    return { pattern: line.trim(), negate, glob: `${glob}/**` };
+}
+
+/**
+ * Rules of the ignore files in a folder's root.
+ * @param {string} folder
+ * @returns {{file: string, pattern: string, negate: boolean, glob: string}[]}
+ */
+function readIgnoreFiles(folder) {
+    const rules = [];
+    for (const file of IGNORE_FILES) {
+        let text;
+        try {
+            text = fs.readFileSync(path.join(folder, file), "utf-8");
+        } catch {
+            continue;
+        }
+        for (const line of text.split(/\r?\n/)) {
+            const rule = parseIgnoreLine(line);
+            if (rule) rules.push({ file, ...rule });
+        }
+    }
+    return rules;
+}
+
+/* config patterns are plain globs; a leading "!" re-includes */
+const globRule = (p) =>
+    p.startsWith("!")
+        ? { negate: true, glob: p.slice(1) }
+        : { negate: false, glob: p };
+
+/* folder ("" for none) -> ordered rules; the last matching rule wins */
+const _rulesCache = new Map();
+
+/* global patterns, then the folder's .gitignore and .peekmdignore, then
+   the patterns scoped to it in the config */
+function getIgnoreRules(folder = "") {
+    if (!_rulesCache.has(folder)) {
+        const rules = getIgnorePatterns().map(globRule);
+        if (folder) {
+            rules.push(...readIgnoreFiles(folder));
+            rules.push(
+                ...(getFolderIgnorePatterns()[folder] || []).map(globRule),
+            );
+        }
+        _rulesCache.set(folder, rules);
+    }
+    return _rulesCache.get(folder);
+}
+
+/** Forget a folder's cached ignore files after one of them changed. */
+function reloadIgnoreFiles(folder) {
+    _rulesCache.delete(folder);
 }
 
 /* pre-compiled glob cache so we don't re-parse every call */
@@ -150,6 +345,8 @@ const _globCache = new Map();
 
 function clearGlobCache() {
     _globCache.clear();
+    _rulesCache.clear();
+    _docTypes = null;
 }
 
 function getGlobMatcher(pattern) {
@@ -161,14 +358,32 @@ function getGlobMatcher(pattern) {
 
 /**
  * Test whether a relative path should be ignored.
- * All patterns are treated as glob patterns (picomatch syntax).
+ * All patterns are treated as glob patterns (picomatch syntax); with a
+ * folder, its scoped patterns and ignore files apply too.
+ * @param {string} relPath - Path relative to the folder
+ * @param {string} [folder] - Linked folder the path belongs to
  */
-function isIgnored(relPath) {
-    const patterns = getIgnorePatterns();
-    for (const p of patterns) {
-        if (getGlobMatcher(p)(relPath)) return true;
+function isIgnored(relPath, folder) {
+    let ignored = false;
+    for (const rule of getIgnoreRules(folder)) {
+        /* only a rule that would flip the outcome needs testing */
+        if (rule.negate === ignored && getGlobMatcher(rule.glob)(relPath))
+            ignored = !rule.negate;
     }
-    return false;
+    return ignored;
+}
+
+/**
+ * Test whether a file must never be served or exported: it is a dotfile
+ * or lies in a dot-directory (.env, .git/…), or it is ignored.
+ * @param {string} relPath - "/"-separated path relative to the folder
+ * @param {string} [folder] - Linked folder the path belongs to
+ */
+function isHidden(relPath, folder) {
+    return (
+        relPath.split("/").some((part) => part.startsWith(".")) ||
+        isIgnored(relPath, folder)
+    );
 }
 
 module.exports = {
@@ -176,11 +391,23 @@ module.exports = {
     linkFolder,
     unlinkFolder,
     getDisplayNames,
+    isTrusted,
+    trustFolder,
+    untrustFolder,
+    getDocExtensions,
+    docType,
     ensureDefaults,
     getIgnorePatterns,
+    getFolderIgnorePatterns,
     addIgnorePattern,
     removeIgnorePattern,
+    IGNORE_FILES,
+    readIgnoreFiles,
+    reloadIgnoreFiles,
     isIgnored,
+    isHidden,
     clearGlobCache,
-    CONFIG_PATH,
+    INSTANCE_RE,
+    useInstance,
+    getConfigPath,
 };
@@ -0,0 +1,288 @@
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const os = require("node:os");
+
+/* runtime files of the background servers, <instance>.state.json,
+   <instance>.log and <instance>.snapshots/; state files hold access
+   tokens, so everything here is private to the user */
+const RUN_DIR = path.join(os.homedir(), ".peekmd");
+const STATE_SUFFIX = ".state.json";
+
+let instance = "default";
+
+/**
+ * Select the named instance whose state, log and snapshot files are used.
+ * @param {string} name
+ */
+function useInstance(name) {
+    instance = name;
+}
+
+const statePath = (name = instance) => path.join(RUN_DIR, name + STATE_SUFFIX);
+const logPath = () => path.join(RUN_DIR, `${instance}.log`);
+const snapshotDir = () => path.join(RUN_DIR, `${instance}.snapshots`);
+
+const LOG_MAX_BYTES = 1024 * 1024;
+const LOG_KEEP = 3;
+
+function ensureRunDir() {
+    fs.mkdirSync(RUN_DIR, { recursive: true, mode: 0o700 });
+}
+
+function alive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/* ── State file ────────────────────────────────────────────────────── */
+
+/**
+ * { name, pid, port, host, url, token, readOnly, version, startedAt,
+ * config, args } of an instance's daemon, written by the daemon itself
+ * once it is listening.
+ */
+const state = {
+    /**
+     * @param {string} [name] - Instance (default: the selected one)
+     * @returns {object|null} State of a live daemon; stale files are removed
+     */
+    read(name = instance) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(statePath(name), "utf-8"));
+        } catch {
+            return null;
+        }
+        if (data.pid && alive(data.pid)) return data;
+        try {
+            fs.unlinkSync(statePath(name));
+        } catch {}
+        return null;
+    },
+    write(data) {
+        ensureRunDir();
+        fs.writeFileSync(statePath(), JSON.stringify(data, null, 2) + "\n", {
+            mode: 0o600,
+        });
+    },
+    /** Remove the state file, optionally only if it belongs to `pid`. */
+    clear(pid) {
+        try {
+            if (pid) {
+                const data = JSON.parse(fs.readFileSync(statePath(), "utf-8"));
+                if (data.pid !== pid) return;
+            }
+            fs.unlinkSync(statePath());
+        } catch {}
+    },
+};
+
+/**
+ * States of every running instance, by name.
+ * @returns {object[]}
+ */
+function listInstances() {
+    let entries = [];
+    try {
+        entries = fs.readdirSync(RUN_DIR);
+    } catch {}
+    return entries
+        .filter((f) => f.endsWith(STATE_SUFFIX))
+        .map((f) => state.read(f.slice(0, -STATE_SUFFIX.length)))
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/* ── Log file ──────────────────────────────────────────────────────── */
+
+/* <name>.log → <name>.log.1 → … → <name>.log.<LOG_KEEP> (dropped) */
+function rotate(file) {
+    for (let i = LOG_KEEP - 1; i >= 1; i--) {
+        try {
+            fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+        } catch {}
+    }
+    try {
+        fs.renameSync(file, `${file}.1`);
+    } catch {}
+}
+
+/**
+ * Logger appending timestamped lines to the log file, rotating it once it
+ * grows past LOG_MAX_BYTES.
+ * @returns {function(...*): void}
+ */
+function createLogger() {
+    ensureRunDir();
+    const file = logPath();
+    let size = 0;
+    try {
+        size = fs.statSync(file).size;
+    } catch {}
+
+    return (...parts) => {
+        const line =
+            `${new Date().toISOString()} ` +
+            parts
+                .map((p) => (p instanceof Error ? p.stack : String(p)))
+                .join(" ") +
+            "\n";
+        if (size + Buffer.byteLength(line) > LOG_MAX_BYTES) {
+            rotate(file);
+            size = 0;
+        }
+        try {
+            fs.appendFileSync(file, line, { mode: 0o600 });
+            size += Buffer.byteLength(line);
+        } catch {}
+    };
+}
+
+/**
+ * Last lines of the log file.
+ * @param {number} count
+ * @returns {string[]}
+ */
+function tailLog(count) {
+    try {
+        const lines = fs.readFileSync(logPath(), "utf-8").split("\n");
+        if (lines.at(-1) === "") lines.pop();
+        return lines.slice(-count);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Print new log lines as they are written, following rotation.
+ * @param {function(string): void} write
+ */
+function followLog(write) {
+    const file = logPath();
+    let offset = 0;
+    try {
+        offset = fs.statSync(file).size;
+    } catch {}
+    setInterval(() => {
+        let size;
+        try {
+            size = fs.statSync(file).size;
+        } catch {
+            return;
+        }
+        if (size < offset) offset = 0; /* rotated */
+        if (size === offset) return;
+        const fd = fs.openSync(file, "r");
+        const buf = Buffer.alloc(size - offset);
+        fs.readSync(fd, buf, 0, buf.length, offset);
+        fs.closeSync(fd);
+        offset = size;
+        write(buf.toString("utf-8"));
+    }, 250);
+}
+
+/* ── Health ────────────────────────────────────────────────────────── */
+
+/**
+ * Ask a running daemon for GET /api/health.
+ * @param {{url: string, token: string}} info - From the state file
+ * @returns {Promise<object|null>} The health report, null if unreachable
+ */
+function probeHealth({ url, token }) {
+    const lib = url.startsWith("https:")
+        ? require("node:https")
+        : require("node:http");
+    return new Promise((resolve) => {
+        const req = lib.get(
+            `${url}/api/health`,
+            {
+                headers: { Authorization: `Bearer ${token}` },
+                /* our own daemon, possibly on a self-signed certificate */
+                rejectUnauthorized: false,
+                timeout: 2000,
+            },
+            (res) => {
+                let body = "";
+                res.on("data", (c) => (body += c));
+                res.on("end", () => {
+                    try {
+                        resolve(
+                            res.statusCode === 200 ? JSON.parse(body) : null,
+                        );
+                    } catch {
+                        resolve(null);
+                    }
+                });
+            },
+        );
+        req.on("timeout", () => req.destroy());
+        req.on("error", () => resolve(null));
+    });
+}
+
+/* ── Requests ──────────────────────────────────────────────────────── */
+
+/**
+ * POST a JSON body to a running daemon.
+ * @param {{url: string, token: string}} info - From the state file
+ * @param {string} route - e.g. "/api/goto"
+ * @param {object} body
+ * @returns {Promise<{status: number, body: object|null}>} status 0 if the
+ *   daemon could not be reached
+ */
+function postJson({ url, token }, route, body) {
+    const lib = url.startsWith("https:")
+        ? require("node:https")
+        : require("node:http");
+    const data = JSON.stringify(body);
+    return new Promise((resolve) => {
+        const req = lib.request(
+            `${url}${route}`,
+            {
+                method: "POST",
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    "Content-Type": "application/json",
+                    "Content-Length": Buffer.byteLength(data),
+                },
+                rejectUnauthorized: false,
+                timeout: 2000,
+            },
+            (res) => {
+                let text = "";
+                res.on("data", (c) => (text += c));
+                res.on("end", () => {
+                    let parsed = null;
+                    try {
+                        parsed = JSON.parse(text);
+                    } catch {}
+                    resolve({ status: res.statusCode, body: parsed });
+                });
+            },
+        );
+        req.on("timeout", () => req.destroy());
+        req.on("error", () => resolve({ status: 0, body: null }));
+        req.end(data);
+    });
+}
+
+module.exports = {
+    RUN_DIR,
+    useInstance,
+    logPath,
+    snapshotDir,
+    alive,
+    state,
+    listInstances,
+    createLogger,
+    tailLog,
+    followLog,
+    probeHealth,
+    postJson,
+};
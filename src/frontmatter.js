@@ -0,0 +1,34 @@
+"use strict";
+
+const YAML = require("yaml");
+const { splitFrontMatter } = require("./public/markdown");
+
+/**
+ * Parse the YAML front matter of a Markdown document.
+ * Invalid YAML, or front matter that is not a mapping, yields `meta: null`.
+ * @param {string} raw - Markdown source
+ * @returns {{meta: object|null, body: string}}
+ */
+function parseFrontMatter(raw) {
+    const { yaml, body } = splitFrontMatter(raw);
+    if (yaml === null) return { meta: null, body };
+    try {
+        const data = YAML.parse(yaml);
+        const isMapping =
+            data !== null && typeof data === "object" && !Array.isArray(data);
+        return { meta: isMapping ? data : null, body };
+    } catch {
+        return { meta: null, body };
+    }
+}
+
+/* tags may be a YAML list or a comma-separated string */
+function metaTags(meta) {
+    const raw = meta?.tags ?? meta?.tag;
+    if (raw === undefined || raw === null) return [];
+    return (Array.isArray(raw) ? raw : String(raw).split(","))
+        .map((t) => String(t).trim())
+        .filter(Boolean);
+}
+
+module.exports = { parseFrontMatter, metaTags };
@@ -0,0 +1,124 @@
+"use strict";
+
+const path = require("node:path");
+const { execFile } = require("node:child_process");
+
+/* revisions accepted from clients: HEAD or a commit hash, optionally with
+   ~n; nothing git could read as an option or a range */
+const REV_RE = /^(HEAD|[0-9a-f]{4,40})(~\d{1,4})?$/i;
+
+const FIELDS = ["hash", "author", "email", "date", "subject"];
+const FORMAT = "%H%x00%an%x00%ae%x00%aI%x00%s";
+
+function git(cwd, args) {
+    return new Promise((resolve, reject) =>
+        execFile(
+            "git",
+            ["-c", "core.quotePath=false", ...args],
+            {
+                cwd,
+                encoding: "utf-8",
+                maxBuffer: 32 * 1024 * 1024,
+                timeout: 10000,
+            },
+            (err, stdout) => (err ? reject(err) : resolve(stdout)),
+        ),
+    );
+}
+
+function parseCommit(line) {
+    const values = line.split("\0");
+    const commit = Object.fromEntries(FIELDS.map((f, i) => [f, values[i]]));
+    return { ...commit, short: commit.hash.slice(0, 7) };
+}
+
+/**
+ * Root of the git work tree holding a file.
+ * @param {string} abs - Absolute file path
+ * @returns {Promise<string|null>} null outside a work tree, or without git
+ */
+async function workTree(abs) {
+    try {
+        return (
+            await git(path.dirname(abs), ["rev-parse", "--show-toplevel"])
+        ).trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Provenance of a file: its last commit and whether the working copy
+ * differs from HEAD.
+ * @param {string} abs
+ * @returns {Promise<{repo: boolean, last?: object|null, modified?: boolean}>}
+ *   `last` is { hash, short, author, email, date, subject }, null for
+ *   untracked files
+ */
+async function fileInfo(abs) {
+    if (!(await workTree(abs))) return { repo: false };
+    const dir = path.dirname(abs),
+        base = path.basename(abs);
+    /* a repository without commits has no log yet */
+    const [log, status] = await Promise.all([
+        git(dir, ["log", "-1", `--format=${FORMAT}`, "--", base]).catch(
+            () => "",
+        ),
+        git(dir, ["status", "--porcelain", "--", base]).catch(() => ""),
+    ]);
+    return {
+        repo: true,
+        last: log.trim() ? parseCommit(log.trim()) : null,
+        modified: status.trim() !== "",
+    };
+}
+
+/**
+ * Commits that touched a file, newest first, following renames.
+ * @param {string} abs
+ * @param {number} [limit]
+ * @returns {Promise<object[]>} Commits as in fileInfo(), each with the
+ *   file's `path` in that commit, relative to the work tree
+ */
+async function fileLog(abs, limit = 200) {
+    const out = await git(path.dirname(abs), [
+        "log",
+        "--follow",
+        `-n${limit}`,
+        `--format=%x1e${FORMAT}`,
+        "--name-only",
+        "--",
+        path.basename(abs),
+    ]);
+    return out
+        .split("\x1e")
+        .filter((chunk) => chunk.trim())
+        .map((chunk) => {
+            const [head, ...names] = chunk.trim().split("\n");
+            return { ...parseCommit(head), path: names.filter(Boolean).at(-1) };
+        });
+}
+
+/**
+ * Content of a file at a revision.
+ * @param {string} abs
+ * @param {string} rev - See REV_RE
+ * @returns {Promise<string|null>} null if the file did not exist there
+ */
+async function fileAt(abs, rev) {
+    if (!REV_RE.test(rev)) throw new Error("invalid revision");
+    /* the file may have had another name in that commit */
+    const bare = rev.split("~")[0].toLowerCase();
+    const entry =
+        !rev.includes("~") && bare !== "head"
+            ? (await fileLog(abs)).find((c) => c.hash.startsWith(bare))
+            : null;
+    const spec = entry?.path || "./" + path.basename(abs);
+    try {
+        return await git(path.dirname(abs), ["show", `${rev}:${spec}`]);
+    } catch {
+        return null;
+    }
+}
+
+module.exports = { REV_RE, workTree, fileInfo, fileLog, fileAt };
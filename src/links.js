@@ -0,0 +1,212 @@
+"use strict";
+
+const path = require("node:path");
+const fs = require("node:fs/promises");
+const { scanDocument } = require("./public/markdown");
+
+const isExternal = (href) => /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(href);
+
+const decode = (s) => {
+    try {
+        return decodeURIComponent(s);
+    } catch {
+        return s;
+    }
+};
+
+/* resolve an href like the viewer's resolveLink: relative to the file's
+   directory, leading "/" meaning an absolute filesystem path */
+function resolveHref(fileAbs, href) {
+    const i = href.indexOf("#");
+    const target = (i === -1 ? href : href.slice(0, i)).split("?")[0];
+    return {
+        target: target
+            ? path.resolve(path.dirname(fileAbs), decode(target))
+            : fileAbs,
+        hash: i === -1 ? "" : decode(href.slice(i + 1)),
+    };
+}
+
+/* media embedded with raw HTML, which the viewer serves like images */
+const SRC_RE =
+    /<(?:img|video|audio|source|iframe|embed)\b[^>]*?\ssrc\s*=\s*["']([^"']+)["']/gi;
+
+/**
+ * Files a document's relative links, images and embedded media point at.
+ * @param {string} fileAbs - Absolute path of the document
+ * @param {string} text - Its Markdown source
+ * @returns {string[]} Absolute paths, without duplicates
+ */
+function linkedFiles(fileAbs, text) {
+    const hrefs = [
+        ...scanDocument(text).links.map((l) => l.href),
+        ...[...text.matchAll(SRC_RE)].map((m) => m[1]),
+    ];
+    const targets = hrefs
+        .filter((href) => href && !isExternal(href))
+        .map((href) => resolveHref(fileAbs, href).target);
+    return [...new Set(targets)].filter((t) => t !== fileAbs);
+}
+
+async function exists(abs) {
+    try {
+        await fs.access(abs);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Graph of relative links between the Markdown files of linked folders,
+ * keyed by absolute path so links across folders resolve too. Kept
+ * current by feeding it watcher events (see apply()).
+ * @param {object} opts
+ * @param {function(string): Promise<string[]>} opts.scan - Lists the
+ *   Markdown files of a folder (relative paths)
+ */
+function createLinkGraph({ scan }) {
+    /* abs -> { folder, file, anchors: Set<id>, links: [{ href, line, target, hash }] } */
+    const docs = new Map();
+    /* folder -> Promise resolved once its initial build is done */
+    const building = new Map();
+
+    function add(folder, file, text) {
+        const abs = path.join(folder, file);
+        const { anchors, links } = scanDocument(text);
+        docs.set(abs, {
+            folder,
+            file,
+            anchors: new Set(anchors),
+            links: links
+                .filter((l) => l.href && !isExternal(l.href))
+                .map((l) => ({ ...l, ...resolveHref(abs, l.href) })),
+        });
+    }
+
+    async function updateFile(folder, file) {
+        try {
+            add(
+                folder,
+                file,
+                await fs.readFile(path.join(folder, file), "utf-8"),
+            );
+        } catch {
+            removeFile(folder, file);
+        }
+    }
+
+    function removeFile(folder, file) {
+        docs.delete(path.join(folder, file));
+    }
+
+    function removeFolder(folder) {
+        building.delete(folder);
+        for (const [abs, doc] of docs)
+            if (doc.folder === folder) docs.delete(abs);
+    }
+
+    /** (Re)scan every file of a folder. */
+    function addFolder(folder) {
+        removeFolder(folder);
+        const done = (async () => {
+            for (const file of await scan(folder)) {
+                if (building.get(folder) !== done) return;
+                await updateFile(folder, file);
+            }
+        })();
+        building.set(folder, done);
+        return done;
+    }
+
+    /**
+     * Apply a watcher event ({ type, folder, path }).
+     * @param {{type: string, folder: string, path: string}} event
+     */
+    function apply(event) {
+        if (!building.has(event.folder)) return;
+        if (event.type === "add" || event.type === "change")
+            return updateFile(event.folder, event.path);
+        if (event.type === "unlink") removeFile(event.folder, event.path);
+    }
+
+    const ready = () => Promise.all(building.values());
+
+    /**
+     * Files linking to the given one, first linking line of each.
+     * @param {string} abs - Absolute path of the target file
+     * @returns {Promise<{folder: string, file: string, line: number}[]>}
+     */
+    async function backlinks(abs) {
+        await ready();
+        const result = [];
+        for (const [from, doc] of docs) {
+            if (from === abs) continue;
+            const link = doc.links.find((l) => l.target === abs);
+            if (link)
+                result.push({
+                    folder: doc.folder,
+                    file: doc.file,
+                    line: link.line,
+                });
+        }
+        return result.sort(
+            (a, b) =>
+                a.folder.localeCompare(b.folder) ||
+                a.file.localeCompare(b.file),
+        );
+    }
+
+    /**
+     * Relative links in the given folders whose file or heading anchor
+     * does not exist. Anchors are only checked in indexed Markdown files.
+     * @param {string[]} folders
+     * @returns {Promise<{folder: string, file: string, line: number, href: string, reason: "missing file"|"missing anchor"}[]>}
+     */
+    async function broken(folders) {
+        await ready();
+        const result = [];
+        const onDisk = new Map();
+        for (const doc of docs.values()) {
+            if (!folders.includes(doc.folder)) continue;
+            for (const link of doc.links) {
+                const target = docs.get(link.target);
+                let reason = null;
+                if (target) {
+                    if (link.hash && !target.anchors.has(link.hash))
+                        reason = "missing anchor";
+                } else {
+                    if (!onDisk.has(link.target))
+                        onDisk.set(link.target, await exists(link.target));
+                    if (!onDisk.get(link.target)) reason = "missing file";
+                }
+                if (reason)
+                    result.push({
+                        folder: doc.folder,
+                        file: doc.file,
+                        line: link.line,
+                        href: link.href,
+                        reason,
+                    });
+            }
+        }
+        return result.sort(
+            (a, b) =>
+                a.folder.localeCompare(b.folder) ||
+                a.file.localeCompare(b.file) ||
+                a.line - b.line,
+        );
+    }
+
+    return {
+        addFolder,
+        removeFolder,
+        updateFile,
+        removeFile,
+        apply,
+        backlinks,
+        broken,
+    };
+}
+
+module.exports = { createLinkGraph, linkedFiles };
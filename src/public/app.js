@@ -25,6 +25,11 @@ const ICONS = {
         '<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>',
     ),
     chevron: svg("folder-chevron", 14, '<polyline points="6 9 12 15 18 9"/>'),
+    close: svg(
+        "",
+        10,
+        '<line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>',
+    ),
     unlink: svg(
         "",
         12,
@@ -56,65 +61,156 @@ function initTheme() {
 
 /* ── Markdown ──────────────────────────────────────────────────────── */
 
-const escapeHtml = (s) =>
-    s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-
-function resolveLink(href) {
-    if (!activeFolderPath || !activeFilePath) return null;
-    let base = activeFolderPath;
-    if (activeFilePath.includes("/")) {
-        const dir = activeFilePath.substring(
-            0,
-            activeFilePath.lastIndexOf("/"),
-        );
+const { escapeHtml } = peekMarkdown;
+
+/* absolute path of a link relative to a document (default: the open one) */
+function resolveLink(
+    href,
+    folder = activeFolderPath,
+    filePath = activeFilePath,
+) {
+    if (!folder || !filePath) return null;
+    let base = folder;
+    if (filePath.includes("/")) {
+        const dir = filePath.substring(0, filePath.lastIndexOf("/"));
         base += "/" + dir;
     }
     try {
         const resolved = new URL(href, "file://" + base + "/").pathname;
-        return resolved;
+        return decodeURIComponent(resolved);
     } catch {
         return null;
     }
 }
 
-async function renderMarkdown(raw) {
-    const body = document.getElementById("markdownBody");
-    const re = /^[ \t]*```mermaid[ \t]*\n([\s\S]*?)^[ \t]*```[ \t]*$/gm;
-    const segments = [];
-    let cursor = 0,
-        match;
-
-    while ((match = re.exec(raw)) !== null) {
-        if (match.index > cursor)
-            segments.push({ type: "md", text: raw.slice(cursor, match.index) });
-        segments.push({ type: "mermaid", text: match[1].trim() });
-        cursor = match.index + match[0].length;
-    }
-    if (cursor < raw.length)
-        segments.push({ type: "md", text: raw.slice(cursor) });
-
-    let html = "",
-        mid = 0;
-    for (const s of segments) {
-        html +=
-            s.type === "md"
-                ? marked.parse(s.text)
-                : `<div class="mermaid-container"><pre class="mermaid" id="m${++mid}">${escapeHtml(s.text)}</pre></div>`;
-    }
-    body.innerHTML = html;
-
-    /* render mermaid */
-    const theme = document.documentElement.getAttribute("data-theme");
-    mermaid.initialize({
-        startOnLoad: false,
-        theme: theme === "dark" ? "dark" : "default",
-        securityLevel: "loose",
-    });
-
-    for (const el of body.querySelectorAll("pre.mermaid")) {
+/* map an absolute path onto the (innermost) linked folder containing it */
+function locateInGroups(abs) {
+    let best = null;
+    for (const g of window.groups || []) {
+        if (!abs.startsWith(g.folder + "/")) continue;
+        if (best && best.folder.length > g.folder.length) continue;
+        best = { folder: g.folder, path: abs.slice(g.folder.length + 1) };
+    }
+    return best;
+}
+
+/* raw HTML and loose mermaid only for folders marked trusted in config */
+const isTrusted = (folder) =>
+    !!(window.groups || []).find((g) => g.folder === folder)?.trusted;
+
+const isExternal = (href) => /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(href);
+
+const assetUrl = (folder, rel) =>
+    `/files/${encodeURIComponent(folder)}/${rel.split("/").map(encodeURIComponent).join("/")}`;
+
+const VIDEO_RE = /\.(mp4|webm|ogv|mov)$/i;
+const AUDIO_RE = /\.(mp3|wav|ogg)$/i;
+const PDF_RE = /\.pdf$/i;
+
+/* point relative src attributes at /files/, upgrading <img> to the right
+   element for videos, audio and PDFs so they display inline */
+const ASSET_SELECTOR =
+    "img[src], video[src], audio[src], source[src], iframe[src], embed[src]";
+
+function embedAssets(els, view = mainView()) {
+    for (const el of els) {
+        const src = el.getAttribute("src");
+        if (isExternal(src)) continue;
+        const resolved = resolveLink(src, view.folder, view.path);
+        const hit = resolved && locateInGroups(resolved);
+        if (!hit) continue;
+
+        let target = el;
+        if (el.tagName === "IMG" && !/\.svg$/i.test(hit.path)) {
+            if (VIDEO_RE.test(hit.path) || AUDIO_RE.test(hit.path)) {
+                target = document.createElement(
+                    VIDEO_RE.test(hit.path) ? "video" : "audio",
+                );
+                target.controls = true;
+                target.preload = "metadata";
+            } else if (PDF_RE.test(hit.path)) {
+                target = document.createElement("iframe");
+                target.className = "pdf-embed";
+            }
+            if (target !== el) target.title = el.getAttribute("alt") || "";
+        }
+
+        target.dataset.assetFolder = hit.folder;
+        target.dataset.assetPath = hit.path;
+        target.src = assetUrl(hit.folder, hit.path);
+        if (target !== el) el.replaceWith(target);
+        else if (el.tagName === "SOURCE") el.parentElement.load?.();
+    }
+}
+
+/* clipboard API needs a secure context; fall back to execCommand */
+async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch {
+        const ta = document.createElement("textarea");
+        ta.value = text;
+        ta.style.position = "fixed";
+        ta.style.opacity = "0";
+        document.body.appendChild(ta);
+        ta.select();
+        const ok = document.execCommand("copy");
+        ta.remove();
+        return ok;
+    }
+}
+
+/* re-fetch embedded copies of an asset after the watcher saw it change */
+function reloadAsset(folder, rel) {
+    const bust = "?v=" + Date.now();
+    for (const el of document.querySelectorAll(
+        ".markdown-body [data-asset-path]",
+    )) {
+        if (el.dataset.assetFolder !== folder || el.dataset.assetPath !== rel)
+            continue;
+        el.src = assetUrl(folder, rel) + bust;
+        if (el.tagName === "SOURCE") el.parentElement.load?.();
+    }
+}
+
+const emptyState = (text) => `<div class="empty-state">${text}</div>`;
+
+/* non-document content (home page, "file deleted", …) */
+function showPlaceholder(html) {
+    document.getElementById("markdownBody").innerHTML = html;
+    document.getElementById("backlinks").hidden = true;
+    document.getElementById("gitBar").hidden = true;
+    document.getElementById("visitBar").hidden = true;
+    closeDiff();
+    closeGitDrawer();
+    buildToc();
+}
+
+/* querySelectorAll over a list of top-level blocks, blocks included */
+const findIn = (blocks, sel) =>
+    blocks.flatMap((b) => [
+        ...(b.matches(sel) ? [b] : []),
+        ...b.querySelectorAll(sel),
+    ]);
+
+let mermaidSeq = 0;
+
+/* wire up freshly inserted blocks: diagrams, links, copy buttons, assets */
+async function enhanceBlocks(blocks, view = mainView()) {
+    const diagrams = findIn(blocks, "pre.mermaid");
+    if (diagrams.length) {
+        const theme = document.documentElement.getAttribute("data-theme");
+        mermaid.initialize({
+            startOnLoad: false,
+            theme: theme === "dark" ? "dark" : "default",
+            securityLevel: isTrusted(view.folder) ? "loose" : "strict",
+        });
+    }
+    for (const el of diagrams) {
         try {
             const { svg } = await mermaid.render(
-                el.id + "_svg",
+                `mermaid-${++mermaidSeq}`,
                 el.textContent,
             );
             el.parentElement.innerHTML = svg;
@@ -123,108 +219,1046 @@ async function renderMarkdown(raw) {
         }
     }
 
-    // Handle internal links
-    body.querySelectorAll("a").forEach((a) => {
+    // Handle internal links; they stay in the pane they were clicked in
+    findIn(blocks, "a").forEach((a) => {
         a.addEventListener("click", async (e) => {
             const href = a.getAttribute("href");
-            if (
-                href &&
-                !href.startsWith("http") &&
-                !href.startsWith("//") &&
-                !href.startsWith("mailto:") &&
-                !href.startsWith("#")
-            ) {
+            if (href && !view.main && href.startsWith("#")) {
                 e.preventDefault();
-                const resolved = resolveLink(href);
-                if (resolved) {
-                    for (const g of window.groups || []) {
-                        if (resolved.startsWith(g.folder + "/")) {
-                            const relPath = resolved.slice(g.folder.length + 1);
-                            await selectFile(g.folder, relPath);
-                            return;
-                        }
-                    }
-                }
+                scrollToHeading(href.slice(1), view);
+            } else if (href && !isExternal(href)) {
+                e.preventDefault();
+                const [target, hash = ""] = href.split("#");
+                const resolved = resolveLink(target, view.folder, view.path);
+                const hit = resolved && locateInGroups(resolved);
+                if (!hit) return;
+                if (view.main) await selectFile(hit.folder, hit.path, { hash });
+                else await showInSplit(hit.folder, hit.path, { hash });
             }
         });
     });
 
-    // Handle images - resolve relative image paths to proper URLs
-    body.querySelectorAll("img").forEach((img) => {
-        const src = img.getAttribute("src");
-        if (
-            src &&
-            !src.startsWith("http") &&
-            !src.startsWith("https") &&
-            !src.startsWith("//") &&
-            !src.startsWith("data:")
+    findIn(blocks, ".code-copy").forEach((btn) =>
+        btn.addEventListener("click", async () => {
+            const code = btn.parentElement.querySelector("code");
+            btn.textContent = (await copyText(code.textContent))
+                ? "Copied"
+                : "Failed";
+            setTimeout(() => (btn.textContent = "Copy"), 1200);
+        }),
+    );
+
+    embedAssets(findIn(blocks, ASSET_SELECTOR), view);
+}
+
+/* where a document renders: the main pane, or the split pane (splitView) */
+const mainView = () => ({
+    main: true,
+    folder: activeFolderPath,
+    path: activeFilePath,
+    body: document.getElementById("markdownBody"),
+    scroller: contentEl(),
+});
+
+/**
+ * Render a document into the preview.
+ * @param {string} raw - Document source
+ * @param {object} [opts]
+ * @param {boolean} [opts.live] - Live reload of the open document: reuse
+ *   unchanged blocks, keep the viewport anchored and flash what changed
+ * @param {object} [opts.meta] - Front matter, shown as a metadata header
+ * @param {string} [opts.kind] - "markdown", "mdx" or "text" (from /api/file)
+ * @param {string} [opts.lang] - Highlighting language of a text file
+ * @param {boolean} [opts.typing] - Preview of the editor: scroll to the
+ *   edited block instead of flashing it
+ * @param {object} [opts.view] - Pane to render into (default: mainView())
+ */
+async function renderMarkdown(
+    raw,
+    {
+        live = false,
+        meta = null,
+        kind = "markdown",
+        lang = "",
+        typing = false,
+        view = mainView(),
+    } = {},
+) {
+    const { body, scroller } = view;
+    const fresh = document.createElement("div");
+    fresh.innerHTML = peekMarkdown.render(raw, {
+        meta,
+        kind,
+        lang,
+        trusted: isTrusted(view.folder),
+        sourceLines: true,
+    });
+    const next = [...fresh.children];
+    /* an edit above a block shifts its source line, not its content */
+    for (const el of next)
+        el.dataset.sig = hashString(
+            el.outerHTML.replace(/ data-line="\d+"/, ""),
+        );
+
+    const prev = [...body.children].filter((el) => el.dataset.sig);
+    if (!live || !prev.length) {
+        body.replaceChildren(...next);
+        await enhanceBlocks(next, view);
+        if (view.main) buildToc();
+        return;
+    }
+
+    const anchor = captureAnchor(prev, scroller);
+    const { blocks, changed } = diffBlocks(prev, next);
+    /* blocks[k] stands for next[k]: kept blocks take their new line */
+    blocks.forEach((el, k) => {
+        if (next[k].dataset.line) el.dataset.line = next[k].dataset.line;
+    });
+    body.replaceChildren(...blocks);
+    await enhanceBlocks(
+        changed.map((c) => c.el),
+        view,
+    );
+    if (view.main) buildToc();
+    restoreAnchor(anchor, scroller);
+    if (typing) changed[0]?.el.scrollIntoView({ block: "nearest" });
+    else if (view.main) flashChanges(changed);
+    else markChanges(changed);
+}
+
+/* re-render the open document from disk, keeping the viewport */
+async function reloadActiveFile() {
+    const file = await api.file(activeFolderPath, activeFilePath);
+    if (file)
+        await renderMarkdown(file.content, {
+            live: true,
+            meta: file.meta,
+            kind: file.kind,
+            lang: file.lang,
+        });
+}
+
+/* ── Live Diff ─────────────────────────────────────────────────────── */
+
+/* djb2 — only used to tell rendered blocks apart between two renders */
+function hashString(s) {
+    let h = 5381;
+    for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) | 0;
+    return (h >>> 0).toString(36);
+}
+
+/**
+ * Align two sequences of block signatures (LCS): every block of `a` is
+ * kept or deleted and every block of `b` kept or added, in document order.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {{op: "same"|"del"|"add", i?: number, j?: number}[]} Indexes
+ *   into `a` (i) and `b` (j)
+ */
+function alignBlocks(a, b) {
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let endA = a.length,
+        endB = b.length;
+    while (endA > head && endB > head && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    /* LCS over the differing middle; giant rewrites skip straight to "all changed" */
+    const n = endA - head,
+        m = endB - head;
+    const dp = n * m <= 4e6 ? new Uint32Array((n + 1) * (m + 1)) : null;
+    if (dp)
+        for (let i = n - 1; i >= 0; i--)
+            for (let j = m - 1; j >= 0; j--)
+                dp[i * (m + 1) + j] =
+                    a[head + i] === b[head + j]
+                        ? dp[(i + 1) * (m + 1) + j + 1] + 1
+                        : Math.max(
+                              dp[(i + 1) * (m + 1) + j],
+                              dp[i * (m + 1) + j + 1],
+                          );
+
+    const ops = [];
+    for (let k = 0; k < head; k++) ops.push({ op: "same", i: k, j: k });
+    let i = 0,
+        j = 0;
+    while (i < n || j < m) {
+        if (dp && i < n && j < m && a[head + i] === b[head + j]) {
+            ops.push({ op: "same", i: head + i, j: head + j });
+            i++;
+            j++;
+        } else if (
+            j >= m ||
+            (i < n &&
+                dp &&
+                dp[(i + 1) * (m + 1) + j] >= dp[i * (m + 1) + j + 1])
         ) {
-            const resolved = resolveLink(src);
-            if (!resolved) return;
-
-            const candidates = [];
-
-            // Try to match any linked folder in the resolved path
-            for (const g of window.groups || []) {
-                // If the resolved path starts with the folder, strip the folder prefix
-                if (resolved.startsWith(g.folder + "/")) {
-                    const relPath = resolved.slice(g.folder.length + 1);
-                    candidates.push(
-                        `/files/${encodeURIComponent(g.folder)}/${relPath}`,
-                    );
-                    break;
-                }
+            ops.push({ op: "del", i: head + i });
+            i++;
+        } else {
+            ops.push({ op: "add", j: head + j });
+            j++;
+        }
+    }
+    for (let k = 0; k < a.length - endA; k++)
+        ops.push({ op: "same", i: endA + k, j: endB + k });
+    return ops;
+}
 
-                // If the folder appears anywhere in the resolved path, use it
-                const idx = resolved.indexOf(g.folder + "/");
-                if (idx !== -1) {
-                    const relPath = resolved.slice(idx + g.folder.length + 1);
-                    candidates.push(
-                        `/files/${encodeURIComponent(g.folder)}/${relPath}`,
-                    );
-                    break;
-                }
-            }
+/**
+ * Match old and new top-level blocks by signature. Unchanged blocks keep
+ * their existing DOM node, so rendered diagrams and loaded images
+ * survive; everything else is reported as added or modified.
+ * @returns {{blocks: Element[], changed: {el: Element, kind: string}[]}}
+ */
+function diffBlocks(prev, next) {
+    const sigs = (els) => els.map((el) => el.dataset.sig);
+    const blocks = [];
+    const changed = [];
+    let removed = 0,
+        inserted = [];
+    const flush = () => {
+        inserted.forEach((el, k) =>
+            changed.push({ el, kind: k < removed ? "modified" : "added" }),
+        );
+        removed = 0;
+        inserted = [];
+    };
 
-            // If path contains src/public, serve from static root
-            if (resolved.includes("/src/public/")) {
-                const parts = resolved.split("/src/public/");
-                if (parts[1]) candidates.push("/" + parts[1]);
-            }
+    for (const { op, i, j } of alignBlocks(sigs(prev), sigs(next))) {
+        if (op === "same") {
+            flush();
+            blocks.push(prev[i]);
+        } else if (op === "del") removed++;
+        else {
+            blocks.push(next[j]);
+            inserted.push(next[j]);
+        }
+    }
+    flush();
+    return { blocks, changed };
+}
 
-            // Try the original src as relative to current folder
-            if (window.groups && window.groups[0] && src.startsWith("./")) {
-                const relPath = src.slice(2); // Remove "./"
-                candidates.push(
-                    `/files/${encodeURIComponent(window.groups[0].folder)}/${relPath}`,
-                );
+/* remember where the visible blocks sit relative to the viewport top */
+function captureAnchor(blocks, scroller = contentEl()) {
+    const top = scroller.getBoundingClientRect().top;
+    const view = scroller.clientHeight;
+    const visible = [];
+    for (const el of blocks) {
+        const r = el.getBoundingClientRect();
+        if (r.bottom <= top) continue;
+        if (r.top - top > view) break;
+        visible.push({ el, offset: r.top - top });
+    }
+    return visible;
+}
+
+/* scroll so the first surviving visible block is back where it was */
+function restoreAnchor(anchor, scroller = contentEl()) {
+    const hit = anchor.find((a) => a.el.isConnected);
+    if (!hit) return;
+    const top = scroller.getBoundingClientRect().top;
+    scroller.scrollTop += hit.el.getBoundingClientRect().top - top - hit.offset;
+}
+
+let noticeTimer = null;
+
+function markChanges(changed) {
+    for (const { el, kind } of changed) {
+        el.classList.add("live-" + kind);
+        setTimeout(() => el.classList.remove("live-" + kind), 2500);
+    }
+}
+
+function flashChanges(changed) {
+    const notice = document.getElementById("changeNotice");
+    notice.hidden = true;
+    if (!changed.length) return;
+    markChanges(changed);
+
+    const first = changed[0].el;
+    if (localStorage.getItem("peekmd-follow-changes") === "on") {
+        first.scrollIntoView({ block: "center", behavior: "smooth" });
+        return;
+    }
+
+    /* offer a jump when the first change is off-screen */
+    const r = first.getBoundingClientRect();
+    const box = contentEl().getBoundingClientRect();
+    if (r.bottom >= box.top && r.top <= box.bottom) return;
+    document.getElementById("changeNoticeText").textContent =
+        changed.length === 1
+            ? "1 block changed"
+            : `${changed.length} blocks changed`;
+    notice.hidden = false;
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => (notice.hidden = true), 6000);
+    notice.onclick = () => {
+        notice.hidden = true;
+        first.scrollIntoView({ block: "center", behavior: "smooth" });
+    };
+}
+
+/* ── Source Lines ──────────────────────────────────────────────────── */
+
+/* text files render as one code block, a .code-line per source line */
+const textLines = (body) =>
+    body.children.length === 1 &&
+    body.firstElementChild.classList.contains("code-block")
+        ? [...body.querySelectorAll(".code-line")]
+        : [];
+
+/* the block rendered from a source line (data-line, see
+   peekMarkdown.render) */
+function blockAtLine(body, line) {
+    const blocks = [...body.children].filter((el) => el.dataset.line);
+    if (!blocks.length) return textLines(body)[line - 1] || null;
+    return (
+        blocks.findLast((el) => Number(el.dataset.line) <= line) || blocks[0]
+    );
+}
+
+/* "<file>:<line>" of the block an element belongs to, or null */
+function sourceLocation(view, target) {
+    const block = target.closest("[data-line]");
+    const code = target.closest(".code-line");
+    let line;
+    if (block && view.body.contains(block)) line = Number(block.dataset.line);
+    else if (code) line = textLines(view.body).indexOf(code) + 1;
+    if (!line) return null;
+    return `${view.folder}/${view.path}:${line}`;
+}
+
+/**
+ * Show a document scrolled to the block rendered from a source line, as
+ * asked by `peekmd goto` (a "goto" WebSocket message).
+ * @param {string} folder
+ * @param {string} filePath
+ * @param {number|null} line - 1-based; null just opens the document
+ */
+async function goToLine(folder, filePath, line) {
+    if (!isActive(folder, filePath) && !inSplit(folder, filePath))
+        await openFile(folder, filePath);
+    const view =
+        inSplit(folder, filePath) &&
+        (focusedPane === "split" || !isActive(folder, filePath))
+            ? splitView()
+            : mainView();
+    if (!line || view.folder !== folder || view.path !== filePath) return;
+    const el = blockAtLine(view.body, line);
+    if (!el) return;
+    el.scrollIntoView({ block: "center" });
+    el.classList.add("goto-target");
+    setTimeout(() => el.classList.remove("goto-target"), 1500);
+}
+
+let toastTimer = null;
+
+function showToast(text) {
+    const toast = document.getElementById("toast");
+    toast.textContent = text;
+    toast.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => (toast.hidden = true), 2500);
+}
+
+/* Alt+click on a rendered block copies where it comes from */
+function initSourceLines() {
+    for (const view of [mainView, splitView])
+        view().body.addEventListener("click", async (e) => {
+            if (!e.altKey) return;
+            const location = sourceLocation(view(), e.target);
+            if (!location) return;
+            e.preventDefault();
+            showToast(
+                (await copyText(location)) ? `Copied ${location}` : location,
+            );
+        });
+}
+
+/* ── Table of Contents ─────────────────────────────────────────────── */
+
+function buildToc() {
+    const toc = document.getElementById("toc");
+    const list = document.getElementById("tocList");
+    const headings = document
+        .getElementById("markdownBody")
+        .querySelectorAll("h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]");
+
+    toc.hidden = !headings.length;
+    const keep = list.scrollTop;
+    const min = Math.min(...[...headings].map((h) => Number(h.tagName[1])));
+    list.innerHTML = [...headings]
+        .map((h) => {
+            const level = Number(h.tagName[1]) - min;
+            return `<a class="toc-item" href="#${escapeHtml(encodeURIComponent(h.id))}" data-id="${escapeHtml(h.id)}" style="padding-left:${10 + level * 12}px">${escapeHtml(h.textContent)}</a>`;
+        })
+        .join("");
+    list.scrollTop = keep;
+    updateTocActive();
+}
+
+/* scroll-spy: the last heading above the top of the viewport is current */
+function updateTocActive() {
+    const list = document.getElementById("tocList");
+    const items = list.querySelectorAll(".toc-item");
+    if (!items.length) return;
+
+    const top = contentEl().getBoundingClientRect().top + 80;
+    let current = items[0].dataset.id;
+    for (const item of items) {
+        const h = document.getElementById(item.dataset.id);
+        if (h && h.getBoundingClientRect().top <= top)
+            current = item.dataset.id;
+        else if (h) break;
+    }
+    for (const item of items) {
+        const active = item.dataset.id === current;
+        if (active && !item.classList.contains("active"))
+            item.scrollIntoView({ block: "nearest" });
+        item.classList.toggle("active", active);
+    }
+}
+
+function initToc() {
+    const toc = document.getElementById("toc");
+    if (localStorage.getItem("peekmd-toc") === "collapsed")
+        toc.classList.add("collapsed");
+
+    document.getElementById("tocToggle").addEventListener("click", () => {
+        toc.classList.toggle("collapsed");
+        localStorage.setItem(
+            "peekmd-toc",
+            toc.classList.contains("collapsed") ? "collapsed" : "open",
+        );
+    });
+
+    let pending = false;
+    contentEl().addEventListener("scroll", () => {
+        if (pending) return;
+        pending = true;
+        requestAnimationFrame(() => {
+            pending = false;
+            updateTocActive();
+        });
+    });
+}
+
+/* ── Backlinks ─────────────────────────────────────────────────────── */
+
+/* "Linked from" panel under the open document */
+async function loadBacklinks() {
+    const panel = document.getElementById("backlinks");
+    const folder = activeFolderPath,
+        filePath = activeFilePath;
+    const links =
+        folder && filePath ? await api.backlinks(folder, filePath) : [];
+    if (folder !== activeFolderPath || filePath !== activeFilePath) return;
+
+    panel.hidden = !links.length;
+    document.getElementById("backlinksList").innerHTML = links
+        .map((l) => {
+            const g = (window.groups || []).find((g) => g.folder === l.folder);
+            const title = g?.meta?.[l.file]?.title;
+            const where =
+                (g && l.folder !== folder ? g.name + "/" : "") + l.file;
+            return `<li><a class="backlink" href="${escapeHtml(viewUrl(l.folder, l.file))}" data-folder="${escapeHtml(l.folder)}" data-path="${escapeHtml(l.file)}">${escapeHtml(title ? String(title) : l.file.split("/").pop())}</a><span class="backlink-path">${escapeHtml(where)}:${l.line}</span></li>`;
+        })
+        .join("");
+}
+
+function initBacklinks() {
+    document.getElementById("backlinksList").addEventListener("click", (e) => {
+        const a = e.target.closest(".backlink");
+        if (!a || e.metaKey || e.ctrlKey || e.shiftKey) return;
+        e.preventDefault();
+        selectFile(a.dataset.folder, a.dataset.path);
+    });
+}
+
+/* ── Git ───────────────────────────────────────────────────────────── */
+
+/* history of the open document, { folder, path, commits }, while the
+   drawer shows it; the diff on screen, as returned by api.gitDiff */
+let gitHistory = null;
+let currentDiff = null;
+let diffMode = localStorage.getItem("peekmd-diff-mode") || "inline";
+
+const shortDate = (iso) =>
+    new Date(iso).toLocaleDateString(undefined, {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+    });
+
+const isActive = (folder, filePath) =>
+    folder === activeFolderPath && filePath === activeFilePath;
+
+/* last-commit line above the open document */
+async function loadGitInfo() {
+    const folder = activeFolderPath,
+        filePath = activeFilePath;
+    const info = filePath ? await api.gitInfo(folder, filePath) : null;
+    if (!isActive(folder, filePath)) return;
+
+    document.getElementById("gitBar").hidden = !info?.repo;
+    if (!info?.repo) return closeGitDrawer();
+    const { last } = info;
+    const el = document.getElementById("gitLast");
+    el.innerHTML = last
+        ? `<code>${escapeHtml(last.short)}</code> ${escapeHtml(last.author)}, ${escapeHtml(shortDate(last.date))} — ${escapeHtml(last.subject)}`
+        : "Not committed yet";
+    el.title = last
+        ? `${last.hash}\n${last.author} <${last.email}>\n${new Date(last.date).toLocaleString()}`
+        : "";
+    document.getElementById("gitModified").hidden = !last || !info.modified;
+    document.getElementById("gitHistoryBtn").hidden = !last;
+    if (gitHistory) openGitDrawer();
+}
+
+async function openGitDrawer() {
+    const folder = activeFolderPath,
+        filePath = activeFilePath;
+    const commits = await api.gitLog(folder, filePath);
+    if (!isActive(folder, filePath)) return;
+    gitHistory = { folder, path: filePath, commits };
+
+    const options = commits
+        .map(
+            (c) =>
+                `<option value="${escapeHtml(c.hash)}">${escapeHtml(c.short)} ${escapeHtml(c.subject)}</option>`,
+        )
+        .join("");
+    document.getElementById("gitFrom").innerHTML = options;
+    document.getElementById("gitTo").innerHTML =
+        `<option value="">Working tree</option>` + options;
+    document.getElementById("gitLog").innerHTML = commits
+        .map(
+            (c, i) =>
+                `<li class="git-commit" data-index="${i}" title="${escapeHtml(c.hash)}"><span class="git-commit-subject">${escapeHtml(c.subject)}</span><span class="git-commit-meta"><code>${escapeHtml(c.short)}</code> · ${escapeHtml(c.author)} · ${escapeHtml(shortDate(c.date))}</span></li>`,
+        )
+        .join("");
+    document.getElementById("gitDrawer").hidden = false;
+}
+
+function closeGitDrawer() {
+    gitHistory = null;
+    document.getElementById("gitDrawer").hidden = true;
+}
+
+/* hashes of the log as 7 characters, anything else (HEAD~1) as given */
+function revLabel(rev) {
+    if (!rev) return "working tree";
+    return rev.replace(/^[0-9a-f]{40}/i, (h) => h.slice(0, 7));
+}
+
+/**
+ * Show the open document's changes between two revisions.
+ * @param {string} from - Revision (HEAD, a hash, hash~1), or with
+ *   `snapshots` a version recorded by the server
+ * @param {string} to - Revision, "" for the working tree
+ * @param {object} [opts]
+ * @param {boolean} [opts.snapshots] - Compare a local snapshot with the
+ *   file as it is now, instead of git revisions
+ * @returns {Promise<boolean>} false if a revision is not available
+ */
+async function showDiff(from, to, { snapshots = false } = {}) {
+    const folder = activeFolderPath,
+        filePath = activeFilePath;
+    const diff = snapshots
+        ? await api.snapshotDiff(folder, filePath, from)
+        : await api.gitDiff(folder, filePath, from, to);
+    if (!diff || !isActive(folder, filePath)) return false;
+    if (snapshots) {
+        diff.snapshots = true;
+        diff.from.label = `your last visit (${new Date(diff.from.time).toLocaleString()})`;
+        diff.to.label = "now";
+    }
+    currentDiff = diff;
+    await renderDiff();
+    contentEl().classList.add("diffing");
+    document.getElementById("gitDiff").hidden = false;
+    contentEl().scrollTop = 0;
+    return true;
+}
+
+function closeDiff() {
+    currentDiff = null;
+    contentEl().classList.remove("diffing");
+    document.getElementById("gitDiff").hidden = true;
+}
+
+/* both versions rendered and aligned block by block: inline, or side by
+   side with each run of changes on one row */
+async function renderDiff() {
+    const { from, to, kind, lang } = currentDiff;
+    const render = (content) => {
+        const el = document.createElement("div");
+        if (content !== null)
+            el.innerHTML = peekMarkdown.render(content, {
+                kind,
+                lang,
+                trusted: isTrusted(activeFolderPath),
+            });
+        return [...el.children];
+    };
+    const before = render(from.content);
+    const after = render(to.content);
+    const sig = (el) => hashString(el.outerHTML);
+    const ops = alignBlocks(before.map(sig), after.map(sig));
+    const mark = (el, cls) => (el.classList.add(cls), el);
+
+    const body = document.getElementById("gitDiffBody");
+    body.className = `git-diff-body markdown-body ${diffMode}`;
+    body.replaceChildren();
+    if (diffMode === "split") {
+        const cell = (blocks) => {
+            const el = document.createElement("div");
+            el.className = "diff-cell";
+            el.append(...blocks);
+            return el;
+        };
+        let removed = [],
+            added = [];
+        const flush = () => {
+            if (removed.length || added.length)
+                body.append(cell(removed), cell(added));
+            removed = [];
+            added = [];
+        };
+        for (const { op, i, j } of ops) {
+            if (op === "del") removed.push(mark(before[i], "diff-removed"));
+            else if (op === "add") added.push(mark(after[j], "diff-added"));
+            else {
+                flush();
+                body.append(cell([before[i]]), cell([after[j]]));
             }
+        }
+        flush();
+    } else
+        for (const { op, i, j } of ops)
+            body.append(
+                op === "del"
+                    ? mark(before[i], "diff-removed")
+                    : op === "add"
+                      ? mark(after[j], "diff-added")
+                      : after[j],
+            );
 
-            if (candidates.length === 0) return;
+    const count = (op) => ops.filter((o) => o.op === op).length;
+    const [added, removed] = [count("add"), count("del")];
+    document.getElementById("gitDiffTitle").textContent =
+        `${from.label || revLabel(from.rev)} → ${to.label || revLabel(to.rev)} · ` +
+        (added || removed
+            ? `${added} blocks added, ${removed} removed`
+            : "no changes");
+    for (const btn of document.querySelectorAll(".git-diff-modes button"))
+        btn.classList.toggle("active", btn.dataset.mode === diffMode);
+    await enhanceBlocks([...body.children]);
+}
 
-            let idx = 0;
-            const tryNext = () => {
-                if (idx >= candidates.length) return;
-                img.src = candidates[idx++];
-            };
+function initGit() {
+    document
+        .getElementById("gitHistoryBtn")
+        .addEventListener("click", () =>
+            gitHistory ? closeGitDrawer() : openGitDrawer(),
+        );
+    document
+        .getElementById("gitDrawerClose")
+        .addEventListener("click", closeGitDrawer);
+    document
+        .getElementById("gitModified")
+        .addEventListener("click", () => showDiff("HEAD", ""));
+    document
+        .getElementById("gitCompare")
+        .addEventListener("click", () =>
+            showDiff(
+                document.getElementById("gitFrom").value,
+                document.getElementById("gitTo").value,
+            ),
+        );
+    document
+        .getElementById("gitDiffClose")
+        .addEventListener("click", closeDiff);
+
+    /* a commit: its changes against the previous commit of the file */
+    document.getElementById("gitLog").addEventListener("click", (e) => {
+        const item = e.target.closest(".git-commit");
+        if (!item || !gitHistory) return;
+        const { commits } = gitHistory;
+        const i = Number(item.dataset.index);
+        showDiff(
+            commits[i + 1]?.hash || commits[i].hash + "~1",
+            commits[i].hash,
+        );
+    });
+
+    for (const btn of document.querySelectorAll(".git-diff-modes button"))
+        btn.addEventListener("click", () => {
+            diffMode = btn.dataset.mode;
+            localStorage.setItem("peekmd-diff-mode", diffMode);
+            if (currentDiff) renderDiff();
+        });
+}
+
+/* ── Last Visit ────────────────────────────────────────────────────── */
+
+/* version of each document this browser last showed, keyed by seenKey() */
+const SEEN_KEY = "peekmd-seen";
+let seen = loadSeen();
+
+function loadSeen() {
+    try {
+        return JSON.parse(localStorage.getItem(SEEN_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+const seenKey = (folder, filePath) => folder + "\0" + filePath;
+
+/* a document read before whose content has changed since */
+const changedSinceVisit = (folder, filePath, version) => {
+    const last = seen[seenKey(folder, filePath)];
+    return !!last && !!version && last !== version;
+};
 
-            img.addEventListener("error", tryNext);
-            tryNext();
+function markSeen(folder, filePath, version) {
+    if (!version) return;
+    seen[seenKey(folder, filePath)] = version;
+    localStorage.setItem(SEEN_KEY, JSON.stringify(seen));
+    updateVisitBadge(folder, filePath);
+}
+
+function updateVisitBadge(folder, filePath) {
+    const g = (window.groups || []).find((g) => g.folder === folder);
+    const changed = changedSinceVisit(
+        folder,
+        filePath,
+        g?.versions?.[filePath],
+    );
+    for (const el of document.querySelectorAll(".file-item[data-path]"))
+        if (el.dataset.folder === folder && el.dataset.path === filePath)
+            el.classList.toggle("changed", changed);
+}
+
+/* offer the changes since `from`, the version shown on the last visit */
+function showVisitNotice(from) {
+    const bar = document.getElementById("visitBar");
+    bar.hidden = !from;
+    bar.dataset.from = from || "";
+    document.getElementById("visitText").textContent =
+        "Changed since your last visit";
+    document.getElementById("visitDiffBtn").hidden = false;
+}
+
+function initVisits() {
+    document
+        .getElementById("visitDiffBtn")
+        .addEventListener("click", async (e) => {
+            const { from } = document.getElementById("visitBar").dataset;
+            if (await showDiff(from, "", { snapshots: true })) return;
+            document.getElementById("visitText").textContent =
+                "Changed since your last visit; that version is no longer available";
+            e.currentTarget.hidden = true;
+        });
+    /* other tabs of the same viewer */
+    window.addEventListener("storage", (e) => {
+        if (e.key !== SEEN_KEY) return;
+        seen = loadSeen();
+        refreshSidebar();
+    });
+}
+
+/* ── Print ─────────────────────────────────────────────────────────── */
+
+/* number external links and list their URLs at the end, and put the
+   document title in the running page header; undone after printing */
+function preparePrint() {
+    const body = document.getElementById("markdownBody");
+    const urls = [];
+    for (const a of body.querySelectorAll(
+        'a[href^="http"], a[href^="mailto:"]',
+    )) {
+        if (a.textContent.trim() === a.getAttribute("href")) continue;
+        const n = urls.indexOf(a.href) + 1 || urls.push(a.href);
+        const ref = document.createElement("sup");
+        ref.className = "print-only print-footnote-ref";
+        ref.textContent = n;
+        a.after(ref);
+    }
+    if (urls.length) {
+        const list = document.createElement("section");
+        list.className = "print-only print-footnotes";
+        list.innerHTML = `<h2>Links</h2><ol>${urls.map((u) => `<li>${escapeHtml(u)}</li>`).join("")}</ol>`;
+        body.append(list);
+    }
+
+    const title =
+        body.querySelector("h1")?.textContent.trim() ||
+        activeFilePath?.split("/").pop() ||
+        "peek MD";
+    const style = document.createElement("style");
+    style.className = "print-only";
+    style.textContent = `@page { @top-center { content: "${title.replace(/["\\]/g, "\\$&").replace(/\s+/g, " ")}"; } }`;
+    document.head.append(style);
+}
+
+function cleanupPrint() {
+    for (const el of document.querySelectorAll(".print-only")) el.remove();
+}
+
+function initPrint() {
+    document
+        .getElementById("printBtn")
+        .addEventListener("click", () => window.print());
+    window.addEventListener("beforeprint", preparePrint);
+    window.addEventListener("afterprint", cleanupPrint);
+}
+
+/* ── Editor ────────────────────────────────────────────────────────── */
+
+/* document open in the source pane: { folder, path, base, version, meta,
+   kind, lang, crlf, saving, theirs }. `base` is the text last loaded or
+   saved, `version` its server hash, `theirs` the on-disk version a save
+   conflicted with */
+let editing = null;
+let previewTimer = null;
+
+const editorInput = () => document.getElementById("editorInput");
+const isDirty = () => !!editing && editorInput().value !== editing.base;
+
+function setEditorStatus(text, cls = "") {
+    const el = document.getElementById("editorStatus");
+    el.textContent = text;
+    el.className = "editor-status " + cls;
+}
+
+function updateDirty() {
+    const dirty = isDirty();
+    document.getElementById("editBtn").classList.toggle("dirty", dirty);
+    if (dirty) setEditorStatus("Unsaved changes", "dirty");
+    else if (document.getElementById("editorStatus").matches(".dirty"))
+        setEditorStatus("");
+}
+
+/* textareas hold "\n" line breaks; CRLF files get theirs back on save */
+function loadIntoEditor(file) {
+    Object.assign(editing, {
+        base: file.content.replace(/\r\n/g, "\n"),
+        crlf: file.content.includes("\r\n"),
+        version: file.version,
+        meta: file.meta,
+        kind: file.kind,
+        lang: file.lang,
+        theirs: null,
+    });
+    editorInput().value = editing.base;
+    document.getElementById("editorConflict").hidden = true;
+    setEditorStatus("");
+    updateDirty();
+}
+
+function renderEditorPreview() {
+    return renderMarkdown(editorInput().value, {
+        live: true,
+        typing: true,
+        meta: editing.meta,
+        kind: editing.kind,
+        lang: editing.lang,
+    });
+}
+
+async function openEditor() {
+    if (!activeFilePath) return;
+    const file = await api.file(activeFolderPath, activeFilePath);
+    if (!file) return;
+    closeDiff();
+    editing = { folder: activeFolderPath, path: activeFilePath };
+    loadIntoEditor(file);
+    document.getElementById("editorTitle").textContent = activeFilePath;
+    document.getElementById("editor").hidden = false;
+    editorInput().focus();
+}
+
+/** @returns {boolean} false if the user kept their unsaved changes */
+function closeEditor() {
+    if (!editing) return true;
+    if (isDirty() && !confirm(`Discard unsaved changes to ${editing.path}?`))
+        return false;
+    clearTimeout(previewTimer);
+    editing = null;
+    document.getElementById("editor").hidden = true;
+    document.getElementById("editBtn").classList.remove("dirty");
+    return true;
+}
+
+/* navigating to another document closes the editor first */
+const leaveEditor = (folder, filePath) =>
+    !editing ||
+    (editing.folder === folder && editing.path === filePath) ||
+    closeEditor();
+
+async function saveEditor() {
+    const session = editing;
+    if (!session || session.saving) return;
+    const text = editorInput().value;
+    setEditorStatus("Saving…");
+    session.saving = api.save(
+        session.folder,
+        session.path,
+        session.crlf ? text.replace(/\n/g, "\r\n") : text,
+        session.version,
+    );
+    const result = await session.saving;
+    session.saving = null;
+    if (editing !== session) return;
+
+    if (result.status === 200) {
+        Object.assign(session, {
+            base: text,
+            version: result.version,
+            meta: result.meta,
+        });
+        document.getElementById("editorConflict").hidden = true;
+        setEditorStatus("Saved");
+        updateDirty();
+        renderEditorPreview();
+    } else if (result.status === 409) showConflict(result.version);
+    else setEditorStatus(result.error || "Save failed", "error");
+}
+
+function showConflict(version) {
+    editing.theirs = version;
+    document.getElementById("editorConflict").hidden = false;
+    setEditorStatus("Not saved", "error");
+}
+
+/* the edited file changed on disk: our own save, or somebody else's */
+async function editorFileChanged() {
+    const session = editing;
+    await session.saving;
+    const file = await api.file(session.folder, session.path);
+    if (!file || editing !== session || file.version === session.version)
+        return;
+    if (isDirty()) return showConflict(file.version);
+    loadIntoEditor(file);
+    await renderEditorPreview();
+}
+
+function initEditor() {
+    const btn = document.getElementById("editBtn");
+    const input = editorInput();
+
+    api.health().then((h) => (btn.hidden = !h || h.readOnly));
+    btn.addEventListener("click", () =>
+        editing ? closeEditor() : openEditor(),
+    );
+    document.getElementById("editorSave").addEventListener("click", saveEditor);
+    document.getElementById("editorClose").addEventListener("click", () => {
+        /* the preview may show unsaved text */
+        const dirty = isDirty();
+        if (closeEditor() && dirty) reloadActiveFile();
+    });
+
+    document
+        .getElementById("conflictReload")
+        .addEventListener("click", async () => {
+            const file = await api.file(editing.folder, editing.path);
+            if (!file) return setEditorStatus("Deleted on disk", "error");
+            loadIntoEditor(file);
+            await renderEditorPreview();
+        });
+    document.getElementById("conflictKeep").addEventListener("click", () => {
+        editing.version = editing.theirs;
+        saveEditor();
+    });
+
+    input.addEventListener("input", () => {
+        updateDirty();
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(renderEditorPreview, 200);
+    });
+    document.addEventListener("keydown", (e) => {
+        if (editing && (e.ctrlKey || e.metaKey) && e.key === "s") {
+            e.preventDefault();
+            saveEditor();
         }
     });
+    window.addEventListener("beforeunload", (e) => {
+        if (isDirty()) e.preventDefault();
+    });
 }
 
 /* ── API ───────────────────────────────────────────────────────────── */
 
 const api = {
     async folders() {
-        return (await fetch("/api/folders")).json();
+        const res = await fetch("/api/folders");
+        /* null: opened without the token link printed by `peekmd start` */
+        return res.status === 401 ? null : res.json();
+    },
+    async health() {
+        const res = await fetch("/api/health");
+        return res.ok ? res.json() : null;
     },
+    /* { content, version, meta, kind, lang } */
     async file(folder, path) {
         const res = await fetch(
             "/api/file?" + new URLSearchParams({ folder, path }),
         );
-        return res.ok ? (await res.json()).content : null;
+        return res.ok ? res.json() : null;
+    },
+    /* { status, version, meta } — status 409 when `version` is no longer
+       what is on disk */
+    async save(folder, path, content, version) {
+        const res = await fetch(
+            "/api/file?" + new URLSearchParams({ folder, path }),
+            {
+                method: "PUT",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ content, version }),
+            },
+        );
+        return { status: res.status, ...(await res.json()) };
+    },
+    /* { repo, last: { hash, short, author, email, date, subject }, modified } */
+    async gitInfo(folder, path) {
+        const res = await fetch(
+            "/api/git/info?" + new URLSearchParams({ folder, path }),
+        );
+        return res.ok ? res.json() : null;
+    },
+    /* commits touching the file, newest first */
+    async gitLog(folder, path) {
+        const res = await fetch(
+            "/api/git/log?" + new URLSearchParams({ folder, path }),
+        );
+        return res.ok ? res.json() : [];
+    },
+    /* { from: { rev, content }, to: { rev, content }, kind, lang }; to.rev
+       null is the working tree */
+    async gitDiff(folder, path, from, to) {
+        const res = await fetch(
+            "/api/git/diff?" + new URLSearchParams({ folder, path, from, to }),
+        );
+        return res.ok ? res.json() : null;
+    },
+    /* a recorded snapshot against the current file, as gitDiff */
+    async snapshotDiff(folder, path, from) {
+        const res = await fetch(
+            "/api/snapshots/diff?" +
+                new URLSearchParams({ folder, path, from }),
+        );
+        return res.ok ? res.json() : null;
+    },
+    async backlinks(folder, path) {
+        const res = await fetch(
+            "/api/backlinks?" + new URLSearchParams({ folder, path }),
+        );
+        return res.ok ? res.json() : [];
     },
     async link(folder) {
         return (
@@ -281,6 +1315,28 @@ const api = {
 
 /* ── Search ────────────────────────────────────────────────────────── */
 
+/* terms, phrases and regex: parts of a query as one highlighting regex;
+   folder:/path:/tag:/status: filters only narrow the result set */
+function queryHighlighter(query) {
+    const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const parts = [];
+    const re = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(query)) !== null) {
+        const key = (m[1] || m[3] || "").toLowerCase();
+        if (key === "regex") parts.push(m[2] ?? m[4]);
+        else if (!["folder", "path", "tag", "status"].includes(key))
+            parts.push(escapeRe(m[5] ?? m[0]));
+    }
+    try {
+        return parts.length
+            ? new RegExp("(" + parts.join("|") + ")", "giu")
+            : null;
+    } catch {
+        return null;
+    }
+}
+
 function initSearch() {
     const input = document.getElementById("searchInput");
     const clearBtn = document.getElementById("searchClear");
@@ -322,12 +1378,21 @@ function initSearch() {
             return;
         }
 
-        const highlight = (text, q) => {
-            const re = new RegExp(
-                "(" + q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + ")",
-                "gi",
-            );
-            return escapeHtml(text).replace(re, "<mark>$1</mark>");
+        const re = queryHighlighter(query);
+        /* match the raw text and escape each piece, so terms like "amp"
+           never land inside an entity */
+        const highlight = (text) => {
+            if (!re) return escapeHtml(text);
+            let html = "";
+            let last = 0;
+            for (const m of text.matchAll(re)) {
+                if (!m[0]) continue;
+                html +=
+                    escapeHtml(text.slice(last, m.index)) +
+                    `<mark>${escapeHtml(m[0])}</mark>`;
+                last = m.index + m[0].length;
+            }
+            return html + escapeHtml(text.slice(last));
         };
 
         resultsEl.innerHTML = results
@@ -338,7 +1403,7 @@ function initSearch() {
                         .slice(0, 5)
                         .map(
                             (m) =>
-                                `<div class="search-match" data-folder="${r.folder}" data-path="${r.file}"><span class="line-num">${m.line}</span>${highlight(m.text, query)}</div>`,
+                                `<div class="search-match" data-folder="${r.folder}" data-path="${r.file}"><span class="line-num">${m.line}</span>${highlight(m.text)}</div>`,
                         )
                         .join(""),
             )
@@ -346,13 +1411,348 @@ function initSearch() {
 
         resultsEl.querySelectorAll("[data-path]").forEach((el) =>
             el.addEventListener("click", () => {
-                selectFile(el.dataset.folder, el.dataset.path);
+                openFile(el.dataset.folder, el.dataset.path);
                 clear();
             }),
         );
     }
 }
 
+/* ── Quick Open ────────────────────────────────────────────────────── */
+
+const isWordStart = (t, i) => i === 0 || "/\\._- ".includes(t[i - 1]);
+
+/**
+ * Fuzzy-match a query as a subsequence of a text, case-insensitively.
+ * Letters that follow each other or start a word or path segment score
+ * higher; so do shorter texts.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, positions: number[]}|null}
+ */
+function fuzzyMatch(query, text) {
+    const q = query.toLowerCase().replace(/\s+/g, "");
+    const t = text.toLowerCase();
+    const positions = [];
+    let score = 0,
+        from = 0;
+    for (let k = 0; k < q.length; k++) {
+        let i = t.indexOf(q[k], from);
+        if (i === -1) return null;
+        /* jump ahead to a word start when the rest still matches from there */
+        if (i !== positions.at(-1) + 1 && !isWordStart(t, i))
+            for (let j = t.indexOf(q[k], i + 1); j !== -1;) {
+                if (
+                    isWordStart(t, j) &&
+                    isSubsequence(q.slice(k + 1), t, j + 1)
+                ) {
+                    i = j;
+                    break;
+                }
+                j = t.indexOf(q[k], j + 1);
+            }
+        score +=
+            1 +
+            (i === positions.at(-1) + 1 ? 5 : 0) +
+            (isWordStart(t, i) ? 8 : 0) -
+            Math.min(i - from, 10) * 0.2;
+        positions.push(i);
+        from = i + 1;
+    }
+    return { score: score - t.length * 0.05, positions };
+}
+
+function isSubsequence(q, t, from) {
+    for (const ch of q) {
+        from = t.indexOf(ch, from) + 1;
+        if (!from) return false;
+    }
+    return true;
+}
+
+/* escape a text, marking runs of matched characters */
+function markPositions(text, positions) {
+    const hits = new Set(positions);
+    let html = "";
+    for (let i = 0; i < text.length;) {
+        let j = i + 1;
+        while (j < text.length && hits.has(j) === hits.has(i)) j++;
+        const part = escapeHtml(text.slice(i, j));
+        html += hits.has(i) ? `<mark>${part}</mark>` : part;
+        i = j;
+    }
+    return html;
+}
+
+const PALETTE_LIMIT = 50;
+
+/* every document of every linked folder, matched against the query by
+   file name, path and front matter title */
+function matchFiles(query) {
+    const groups = window.groups || [];
+    const results = [];
+    for (const g of groups)
+        for (const file of g.files) {
+            const title = g.meta?.[file]?.title
+                ? String(g.meta[file].title)
+                : "";
+            const path = groups.length > 1 ? `${g.name}/${file}` : file;
+            const base = file.split("/").pop();
+            if (!query) {
+                results.push({ g, file, title, path, score: 0 });
+                continue;
+            }
+            const byName = fuzzyMatch(query, base);
+            const byPath = fuzzyMatch(query, path);
+            const byTitle = title && fuzzyMatch(query, title);
+            const best = [
+                byName && {
+                    score: byName.score + 10,
+                    pathHits: byName.positions.map(
+                        (i) => i + path.length - base.length,
+                    ),
+                },
+                byPath && { score: byPath.score, pathHits: byPath.positions },
+                byTitle && {
+                    score: byTitle.score + 5,
+                    titleHits: byTitle.positions,
+                },
+            ]
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score)[0];
+            if (best) results.push({ g, file, title, path, ...best });
+        }
+    return results
+        .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+        .slice(0, PALETTE_LIMIT)
+        .map((r) => ({
+            label: r.title
+                ? markPositions(r.title, r.titleHits || [])
+                : markPositions(r.path.split("/").pop(), []),
+            detail: markPositions(r.path, r.pathHits || []),
+            run: () => openFile(r.g.folder, r.file),
+        }));
+}
+
+/* ── Command Palette ───────────────────────────────────────────────── */
+
+const clickEl = (id) => document.getElementById(id).click();
+const shown = (id) => !document.getElementById(id).hidden;
+
+/* { title, keys?, when?, run } — `when` hides commands that do not apply */
+const COMMANDS = [
+    { title: "Go to file…", keys: "Ctrl+P", run: () => openPalette("") },
+    { title: "Search in files", keys: "/", run: focusSearch },
+    { title: "Toggle theme", run: () => clickEl("themeToggle") },
+    { title: "Link folder…", run: () => clickEl("addFolderBtn") },
+    {
+        title: "Add ignore pattern…",
+        run: () => {
+            clickEl("configBtn");
+            document.querySelector('.config-tab[data-tab="ignore"]').click();
+            document.getElementById("configIgnoreInput").focus();
+        },
+    },
+    { title: "Refresh folders", run: () => clickEl("refreshBtn") },
+    {
+        title: "Copy link to this document",
+        when: () => activeFilePath,
+        run: () => copyText(location.href),
+    },
+    {
+        title: "Edit document",
+        when: () => activeFilePath && shown("editBtn"),
+        run: () => clickEl("editBtn"),
+    },
+    {
+        title: "Show file history",
+        when: () => shown("gitBar") && shown("gitHistoryBtn"),
+        run: () => clickEl("gitHistoryBtn"),
+    },
+    {
+        title: "Print / Save as PDF",
+        when: () => activeFilePath,
+        run: () => window.print(),
+    },
+    { title: "Toggle outline", run: () => clickEl("tocToggle") },
+    {
+        title: "Open to the side",
+        when: () => activeFilePath || split.open,
+        run: openSplit,
+    },
+    {
+        title: "Close tab",
+        when: () => mainTabs.some((t) => isActive(t.folder, t.path)),
+        run: () =>
+            closeTab(
+                "main",
+                mainTabs.findIndex((t) => isActive(t.folder, t.path)),
+            ),
+    },
+    { title: "Close split", when: () => split.open, run: closeSplit },
+    { title: "Next document", keys: "J", run: () => stepFile(1) },
+    { title: "Previous document", keys: "K", run: () => stepFile(-1) },
+    {
+        title: "Next heading",
+        keys: "]",
+        when: () => activeFilePath,
+        run: () => stepHeading(1),
+    },
+    {
+        title: "Previous heading",
+        keys: "[",
+        when: () => activeFilePath,
+        run: () => stepHeading(-1),
+    },
+];
+
+function matchCommands(query) {
+    return COMMANDS.filter((c) => !c.when || c.when())
+        .map((c) => ({ c, m: fuzzyMatch(query, c.title) }))
+        .filter((r) => r.m)
+        .sort((a, b) => (query ? b.m.score - a.m.score : 0))
+        .map(({ c, m }) => ({
+            label: markPositions(c.title, m.positions),
+            keys: c.keys,
+            run: c.run,
+        }));
+}
+
+/* one overlay for both: a leading ">" lists commands instead of files */
+const palette = { items: [], index: 0 };
+
+function openPalette(prefix) {
+    const input = document.getElementById("paletteInput");
+    document.getElementById("paletteOverlay").classList.add("open");
+    input.value = prefix;
+    input.focus();
+    updatePalette();
+}
+
+function closePalette() {
+    document.getElementById("paletteOverlay").classList.remove("open");
+}
+
+function updatePalette() {
+    const value = document.getElementById("paletteInput").value;
+    const commands = value.startsWith(">");
+    const query = (commands ? value.slice(1) : value).trim();
+    palette.items = commands ? matchCommands(query) : matchFiles(query);
+    palette.index = 0;
+    renderPalette();
+}
+
+function renderPalette() {
+    const list = document.getElementById("paletteList");
+    list.innerHTML = palette.items.length
+        ? palette.items
+              .map(
+                  (item, i) =>
+                      `<div class="palette-item${i === palette.index ? " selected" : ""}" data-index="${i}"><span class="palette-label">${item.label}</span>${item.detail ? `<span class="palette-detail">${item.detail}</span>` : ""}${item.keys ? `<kbd class="palette-keys">${escapeHtml(item.keys)}</kbd>` : ""}</div>`,
+              )
+              .join("")
+        : '<div class="palette-empty">No matches</div>';
+    list.querySelector(".selected")?.scrollIntoView({ block: "nearest" });
+}
+
+function runPaletteItem(i) {
+    const item = palette.items[i];
+    if (!item) return;
+    closePalette();
+    item.run();
+}
+
+function initPalette() {
+    const overlay = document.getElementById("paletteOverlay");
+    const input = document.getElementById("paletteInput");
+    const list = document.getElementById("paletteList");
+
+    input.addEventListener("input", updatePalette);
+    input.addEventListener("keydown", (e) => {
+        const n = palette.items.length;
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault();
+            if (!n) return;
+            palette.index =
+                (palette.index + (e.key === "ArrowDown" ? 1 : -1) + n) % n;
+            renderPalette();
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            runPaletteItem(palette.index);
+        } else if (e.key === "Escape") closePalette();
+    });
+    list.addEventListener("click", (e) => {
+        const item = e.target.closest(".palette-item");
+        if (item) runPaletteItem(Number(item.dataset.index));
+    });
+    overlay.addEventListener("click", (e) => {
+        if (e.target === overlay) closePalette();
+    });
+}
+
+/* ── Keyboard ──────────────────────────────────────────────────────── */
+
+function focusSearch() {
+    const input = document.getElementById("searchInput");
+    input.focus();
+    input.select();
+}
+
+/* next/previous document in sidebar order, skipping collapsed folders */
+function stepFile(delta) {
+    const items = [
+        ...document.querySelectorAll("#folderList .file-item[data-path]"),
+    ].filter((el) => !el.parentElement.closest(".collapsed"));
+    if (!items.length) return;
+    const i = items.findIndex((el) => el.classList.contains("active"));
+    const next =
+        items[i === -1 ? (delta > 0 ? 0 : items.length - 1) : i + delta];
+    if (next) selectFile(next.dataset.folder, next.dataset.path);
+}
+
+/* scroll to the heading after/before the one at the top of the view */
+function stepHeading(delta) {
+    const headings = [
+        ...document.querySelectorAll(
+            "#markdownBody :is(h1, h2, h3, h4, h5, h6)[id]",
+        ),
+    ];
+    const top = contentEl().getBoundingClientRect().top;
+    const offsets = headings.map((h) => h.getBoundingClientRect().top - top);
+    const target =
+        delta > 0
+            ? headings.find((_, i) => offsets[i] > 4)
+            : headings.findLast((_, i) => offsets[i] < -4);
+    if (!target) return;
+    target.scrollIntoView();
+    history.replaceState(history.state, "", "#" + target.id);
+}
+
+const isTyping = (el) =>
+    el && (el.matches("input, textarea, select") || el.isContentEditable);
+
+function initKeyboard() {
+    document.addEventListener("keydown", (e) => {
+        const mod = e.ctrlKey || e.metaKey;
+        if (mod && e.key.toLowerCase() === "p") {
+            e.preventDefault();
+            return openPalette(e.shiftKey ? ">" : "");
+        }
+        if (mod || e.altKey || isTyping(e.target)) return;
+        if (document.querySelector(".modal-overlay.open")) return;
+        const action = {
+            "/": focusSearch,
+            j: () => stepFile(1),
+            k: () => stepFile(-1),
+            "]": () => stepHeading(1),
+            "[": () => stepHeading(-1),
+        }[e.key];
+        if (!action) return;
+        e.preventDefault();
+        action();
+    });
+}
+
 /* ── Sidebar ───────────────────────────────────────────────────────── */
 
 const EMPTY_STATE = `<div class="empty-folders">
@@ -385,7 +1785,8 @@ function buildTree(files) {
     return root;
 }
 
-function renderTree(tree, folder, prefix, depth) {
+/* files with a front matter `title` are listed under that title */
+function renderTree(tree, folder, prefix, depth, meta = {}, versions = {}) {
     const entries = Object.keys(tree).sort((a, b) => {
         const ad = tree[a] !== null,
             bd = tree[b] !== null;
@@ -401,17 +1802,26 @@ function renderTree(tree, folder, prefix, depth) {
                     activeFolderPath === folder && activeFilePath === fullPath
                         ? " active"
                         : "";
+                const changed = changedSinceVisit(
+                    folder,
+                    fullPath,
+                    versions[fullPath],
+                )
+                    ? " changed"
+                    : "";
                 const badge = folderDisplayMap[folder]
                     ? `<span class="file-badge">${escapeHtml(folderDisplayMap[folder])}</span>`
                     : "";
-                return `<div class="file-item${active}" data-folder="${escapeHtml(folder)}" data-path="${escapeHtml(fullPath)}" style="padding-left:${14 + depth * 16}px" data-tip="${escapeHtml(fullPath)}">${ICONS.file} ${badge} ${escapeHtml(name)}</div>`;
+                const title = meta[fullPath]?.title;
+                const label = title ? String(title) : name;
+                return `<div class="file-item${active}${changed}" data-folder="${escapeHtml(folder)}" data-path="${escapeHtml(fullPath)}" style="padding-left:${14 + depth * 16}px" data-tip="${escapeHtml(fullPath)}">${ICONS.file} ${badge} ${escapeHtml(label)}</div>`;
             }
 
             const key = folder + ":" + fullPath;
             const collapsed = collapsedNodes.has(key) ? " collapsed" : "";
             return `<div class="tree-dir${collapsed}" data-node-key="${escapeHtml(key)}">
             <div class="tree-dir-header" style="padding-left:${10 + depth * 16}px" data-tip="${escapeHtml(fullPath)}">${ICONS.treeChevron} ${ICONS.treeFolder} <span>${escapeHtml(name)}</span></div>
-            <div class="tree-dir-children">${renderTree(tree[name], folder, fullPath, depth + 1)}</div>
+            <div class="tree-dir-children">${renderTree(tree[name], folder, fullPath, depth + 1, meta, versions)}</div>
         </div>`;
         })
         .join("");
@@ -420,11 +1830,20 @@ function renderTree(tree, folder, prefix, depth) {
 async function refreshSidebar() {
     const list = document.getElementById("folderList");
     const groups = await api.folders();
-    window.groups = groups;
+    window.groups = groups || [];
 
+    if (!groups) {
+        list.innerHTML = "";
+        showPlaceholder(
+            emptyState("Open the link printed by peekmd start to sign in"),
+        );
+        return;
+    }
+    pruneTabs();
+    renderTabs();
     if (!groups.length) {
         list.innerHTML = EMPTY_STATE;
-        document.getElementById("markdownBody").innerHTML = HOME_HTML;
+        showPlaceholder(HOME_HTML);
         return;
     }
 
@@ -450,8 +1869,15 @@ async function refreshSidebar() {
                 ? " collapsed"
                 : "";
             const files = g.files.length
-                ? renderTree(buildTree(g.files), g.folder, "", 0)
-                : '<div class="file-item" style="opacity:.4;cursor:default;">No .md files</div>';
+                ? renderTree(
+                      buildTree(g.files),
+                      g.folder,
+                      "",
+                      0,
+                      g.meta,
+                      g.versions,
+                  )
+                : '<div class="file-item" style="opacity:.4;cursor:default;">No documents</div>';
 
             const compact = folderDisplayMap[g.folder]
                 ? `<span class="folder-path-compact">${escapeHtml(folderDisplayMap[g.folder])}</span>`
@@ -471,7 +1897,7 @@ async function refreshSidebar() {
     /* event delegation */
     list.querySelectorAll(".file-item[data-path]").forEach((el) =>
         el.addEventListener("click", () =>
-            selectFile(el.dataset.folder, el.dataset.path),
+            openFile(el.dataset.folder, el.dataset.path),
         ),
     );
 
@@ -503,21 +1929,445 @@ async function refreshSidebar() {
             await api.unlink(el.dataset.unlink);
             if (activeFolderPath === el.dataset.unlink) {
                 activeFolderPath = activeFilePath = null;
-                document.getElementById("markdownBody").innerHTML = HOME_HTML;
+                showPlaceholder(HOME_HTML);
+                history.replaceState(null, "", "/");
             }
             refreshSidebar();
         }),
     );
 }
 
-async function selectFile(folder, filePath) {
+/**
+ * Open a document in the preview.
+ * @param {string} folder - Linked folder path
+ * @param {string} filePath - Path relative to the folder
+ * @param {object} [opts]
+ * @param {string} [opts.hash] - Heading id to scroll to
+ * @param {"push"|"replace"|"none"} [opts.history] - How to record the URL
+ */
+async function selectFile(
+    folder,
+    filePath,
+    { hash = "", history: mode = "push" } = {},
+) {
+    if (!leaveEditor(folder, filePath)) return;
+    const same = folder === activeFolderPath && filePath === activeFilePath;
+    if (mode === "push") rememberScroll();
+    if (mode === "push" && same && !hash) mode = "replace";
+    if (!same) closeDiff();
+
+    const prev = { folder: activeFolderPath, path: activeFilePath };
     activeFolderPath = folder;
     activeFilePath = filePath;
-    const content = await api.file(folder, filePath);
-    if (content !== null) await renderMarkdown(content);
+    const file = await api.file(folder, filePath);
+    if (file) {
+        addTab(mainTabs, { folder, path: filePath }, prev);
+        saveTabs();
+        const last = seen[seenKey(folder, filePath)];
+        await renderMarkdown(file.content, {
+            meta: file.meta,
+            kind: file.kind,
+            lang: file.lang,
+        });
+        markSeen(folder, filePath, file.version);
+        showVisitNotice(last !== file.version ? last : null);
+        loadBacklinks();
+        loadGitInfo();
+    } else showPlaceholder(emptyState("File not found"));
+
+    if (mode !== "none") {
+        const state = { folder, path: filePath, scroll: 0 };
+        const url = viewUrl(folder, filePath) + (hash ? "#" + hash : "");
+        if (mode === "push") history.pushState(state, "", url);
+        else history.replaceState(state, "", url);
+    }
+    if (hash) scrollToHeading(hash);
+    else contentEl().scrollTop = 0;
+    refreshSidebar();
+}
+
+/* folder URLs open the folder's README/index, or just reveal it */
+async function selectFolder(folder, { history: mode = "push" } = {}) {
+    const g = (window.groups || []).find((g) => g.folder === folder);
+    if (!g || !leaveEditor(folder, null)) return;
+    const index = g.files.find((f) => /^(readme|index)\.[^./]+$/i.test(f));
+    if (index) return selectFile(folder, index, { history: mode });
+
+    activeFolderPath = folder;
+    activeFilePath = null;
+    collapsedNodes.delete("root:" + folder);
+    showPlaceholder(emptyState("Select a file to preview"));
+    if (mode === "push") history.pushState({ folder }, "", viewUrl(folder));
+    else if (mode === "replace")
+        history.replaceState({ folder }, "", viewUrl(folder));
     refreshSidebar();
 }
 
+/* ── Routing ───────────────────────────────────────────────────────── */
+
+const contentEl = () => document.querySelector("#mainPane .content");
+
+/* /view/<folder-name>/<path>; display names may contain a "/" */
+function viewUrl(folder, filePath) {
+    const g = (window.groups || []).find((g) => g.folder === folder);
+    if (!g) return "/";
+    const segs = [
+        ...g.name.split("/"),
+        ...(filePath ? filePath.split("/") : []),
+    ];
+    return "/view/" + segs.map(encodeURIComponent).join("/");
+}
+
+function parseViewUrl(pathname) {
+    if (!pathname.startsWith("/view/")) return null;
+    let segs;
+    try {
+        segs = pathname
+            .slice(6)
+            .split("/")
+            .filter(Boolean)
+            .map(decodeURIComponent);
+    } catch {
+        return null;
+    }
+
+    /* longest display-name prefix wins */
+    let best = null;
+    for (const g of window.groups || []) {
+        const name = g.name.split("/");
+        if (name.length > segs.length) continue;
+        if (best && best.depth >= name.length) continue;
+        if (name.every((n, i) => n === segs[i]))
+            best = { folder: g.folder, depth: name.length };
+    }
+    if (!best) return null;
+    return {
+        folder: best.folder,
+        path: segs.slice(best.depth).join("/") || null,
+    };
+}
+
+function scrollToHeading(hash, view = mainView()) {
+    let id = hash;
+    try {
+        id = decodeURIComponent(hash);
+    } catch {}
+    /* both panes may show the same document, so ids are not unique */
+    const el = [...view.body.querySelectorAll("[id]")].find((h) => h.id === id);
+    if (el) el.scrollIntoView();
+}
+
+/* scroll offsets live in history.state so back/forward can restore them */
+function rememberScroll() {
+    history.replaceState(
+        { ...(history.state || {}), scroll: contentEl().scrollTop },
+        "",
+    );
+}
+
+async function navigate(target, { scroll, hash } = {}) {
+    if (!target) {
+        if (!closeEditor()) return;
+        activeFolderPath = activeFilePath = null;
+        const linked = (window.groups || []).length;
+        showPlaceholder(
+            linked ? emptyState("Select a file to preview") : HOME_HTML,
+        );
+        refreshSidebar();
+        return;
+    }
+    if (!target.path) await selectFolder(target.folder, { history: "none" });
+    else if (
+        target.folder !== activeFolderPath ||
+        target.path !== activeFilePath
+    )
+        await selectFile(target.folder, target.path, { history: "none" });
+
+    if (scroll != null) contentEl().scrollTop = scroll;
+    else if (hash) scrollToHeading(hash);
+}
+
+function initRouting() {
+    history.scrollRestoration = "manual";
+
+    let timer = null;
+    contentEl().addEventListener("scroll", () => {
+        clearTimeout(timer);
+        timer = setTimeout(rememberScroll, 150);
+    });
+
+    window.addEventListener("popstate", (e) => {
+        const state = e.state || {};
+        const target = state.folder
+            ? { folder: state.folder, path: state.path || null }
+            : parseViewUrl(location.pathname);
+        navigate(target, {
+            scroll: state.scroll,
+            hash: location.hash.slice(1),
+        });
+    });
+}
+
+/* initial load: reopen whatever the address bar points at */
+async function restoreFromUrl() {
+    const target = parseViewUrl(location.pathname);
+    if (!target) return;
+    const { scroll } = history.state || {};
+    const hash = location.hash.slice(1);
+    if (target.path)
+        await selectFile(target.folder, target.path, {
+            history: "replace",
+            hash,
+        });
+    else await selectFolder(target.folder, { history: "replace" });
+    if (scroll) contentEl().scrollTop = scroll;
+}
+
+/* ── Tabs & Split ──────────────────────────────────────────────────── */
+
+const TABS_KEY = "peekmd-tabs";
+
+/* open documents, { folder, path }, of the main pane (its active one is
+   activeFolderPath/activeFilePath) and of the split pane beside it */
+const mainTabs = [];
+const split = { open: false, tabs: [], folder: null, path: null };
+/* pane that the sidebar, search and quick open open documents in */
+let focusedPane = "main";
+
+const splitView = () => ({
+    main: false,
+    folder: split.folder,
+    path: split.path,
+    body: document.getElementById("splitBody"),
+    scroller: document.getElementById("splitContent"),
+});
+
+const sameDoc = (a, b) => a.folder === b.folder && a.path === b.path;
+const inSplit = (folder, filePath) =>
+    split.open && sameDoc(split, { folder, path: filePath });
+const docExists = (doc) =>
+    (window.groups || []).some(
+        (g) => g.folder === doc.folder && g.files.includes(doc.path),
+    );
+
+/* add a tab right after the active one, unless the document has one */
+function addTab(tabs, doc, active) {
+    if (tabs.some((t) => sameDoc(t, doc))) return;
+    const i = tabs.findIndex((t) => sameDoc(t, active));
+    tabs.splice(i === -1 ? tabs.length : i + 1, 0, {
+        folder: doc.folder,
+        path: doc.path,
+    });
+}
+
+function saveTabs() {
+    localStorage.setItem(
+        TABS_KEY,
+        JSON.stringify({
+            main: mainTabs,
+            split: split.open
+                ? { tabs: split.tabs, folder: split.folder, path: split.path }
+                : null,
+        }),
+    );
+}
+
+function tabsHtml(tabs, active) {
+    return tabs
+        .map((t, i) => {
+            const g = (window.groups || []).find((g) => g.folder === t.folder);
+            const title = g?.meta?.[t.path]?.title;
+            const current = sameDoc(t, active) ? " active" : "";
+            return `<div class="tab${current}" data-index="${i}" data-tip="${escapeHtml((g ? g.name + "/" : "") + t.path)}"><span class="tab-label">${escapeHtml(title ? String(title) : t.path.split("/").pop())}</span><button class="tab-close" aria-label="Close tab">${ICONS.close}</button></div>`;
+        })
+        .join("");
+}
+
+function renderTabs() {
+    document.getElementById("mainTabBar").hidden =
+        !mainTabs.length && !split.open;
+    document.getElementById("mainTabs").innerHTML = tabsHtml(mainTabs, {
+        folder: activeFolderPath,
+        path: activeFilePath,
+    });
+    document.getElementById("splitPane").hidden = !split.open;
+    document.getElementById("splitTabs").innerHTML = tabsHtml(
+        split.tabs,
+        split,
+    );
+    document.querySelector(".layout").classList.toggle("split", split.open);
+    for (const tabs of document.querySelectorAll(".tabs"))
+        tabs.querySelector(".active")?.scrollIntoView({ block: "nearest" });
+}
+
+/* drop tabs of documents that were deleted or unlinked */
+function pruneTabs() {
+    for (const tabs of [mainTabs, split.tabs])
+        tabs.splice(0, tabs.length, ...tabs.filter(docExists));
+    saveTabs();
+}
+
+function focusPane(name) {
+    focusedPane = name;
+    document
+        .getElementById("mainPane")
+        .classList.toggle("focused", name === "main");
+    document
+        .getElementById("splitPane")
+        .classList.toggle("focused", name === "split");
+}
+
+/* open a document in whichever pane has the focus */
+function openFile(folder, filePath) {
+    if (split.open && focusedPane === "split")
+        return showInSplit(folder, filePath);
+    return selectFile(folder, filePath);
+}
+
+/**
+ * Open a document in the split pane, opening the pane if needed.
+ * @param {string} folder
+ * @param {string} filePath
+ * @param {object} [opts]
+ * @param {string} [opts.hash] - Heading id to scroll to
+ * @param {boolean} [opts.focus] - Make it the pane documents open in
+ */
+async function showInSplit(folder, filePath, { hash = "", focus = true } = {}) {
+    const doc = { folder, path: filePath };
+    const same = inSplit(folder, filePath);
+    addTab(split.tabs, doc, split);
+    Object.assign(split, { open: true, ...doc });
+    if (focus) focusPane("split");
+    saveTabs();
+    renderTabs();
+
+    const file = await api.file(folder, filePath);
+    if (!inSplit(folder, filePath)) return;
+    const view = splitView();
+    if (file) {
+        await renderMarkdown(file.content, {
+            meta: file.meta,
+            kind: file.kind,
+            lang: file.lang,
+            view,
+        });
+        markSeen(folder, filePath, file.version);
+        updateVisitBadge(folder, filePath);
+    } else view.body.innerHTML = emptyState("File not found");
+    if (hash) scrollToHeading(hash, view);
+    else if (!same) view.scroller.scrollTop = 0;
+}
+
+/* live reload of the split pane's document */
+async function reloadSplit(type) {
+    const { folder, path: filePath, body } = splitView();
+    if (type === "unlink") {
+        body.innerHTML = emptyState("File deleted");
+        return;
+    }
+    const file = await api.file(folder, filePath);
+    if (file && inSplit(folder, filePath))
+        await renderMarkdown(file.content, {
+            live: true,
+            meta: file.meta,
+            kind: file.kind,
+            lang: file.lang,
+            view: splitView(),
+        });
+}
+
+/* split the view, showing the open document on both sides */
+function openSplit() {
+    if (split.open) return focusPane("split");
+    if (activeFilePath) showInSplit(activeFolderPath, activeFilePath);
+}
+
+function closeSplit() {
+    Object.assign(split, { open: false, tabs: [], folder: null, path: null });
+    document.getElementById("splitBody").innerHTML = "";
+    focusPane("main");
+    saveTabs();
+    renderTabs();
+}
+
+async function closeTab(pane, i) {
+    const tabs = pane === "split" ? split.tabs : mainTabs;
+    const tab = tabs[i];
+    const next = tabs[i + 1] || tabs[i - 1];
+    if (pane === "split") {
+        tabs.splice(i, 1);
+        if (!sameDoc(tab, split)) {
+            saveTabs();
+            renderTabs();
+        } else if (next) await showInSplit(next.folder, next.path);
+        else closeSplit();
+        return;
+    }
+    if (!isActive(tab.folder, tab.path)) {
+        tabs.splice(i, 1);
+        saveTabs();
+        renderTabs();
+        return;
+    }
+    if (next ? !leaveEditor(next.folder, next.path) : !closeEditor()) return;
+    tabs.splice(i, 1);
+    saveTabs();
+    if (next) await selectFile(next.folder, next.path);
+    else {
+        history.pushState(null, "", "/");
+        await navigate(null);
+    }
+}
+
+/* reopen the tabs of the last session; the URL decides the main one */
+function restoreTabs() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(TABS_KEY));
+    } catch {}
+    if (!saved) return;
+    mainTabs.push(...(saved.main || []).filter(docExists));
+    const tabs = (saved.split?.tabs || []).filter(docExists);
+    const active = docExists(saved.split || {}) ? saved.split : tabs[0];
+    if (active) {
+        split.tabs = tabs;
+        showInSplit(active.folder, active.path, { focus: false });
+    }
+    renderTabs();
+}
+
+function initTabs() {
+    for (const [id, pane] of [
+        ["mainTabs", "main"],
+        ["splitTabs", "split"],
+    ]) {
+        const el = document.getElementById(id);
+        el.addEventListener("click", (e) => {
+            const tab = e.target.closest(".tab");
+            if (!tab) return;
+            const i = Number(tab.dataset.index);
+            if (e.target.closest(".tab-close")) return closeTab(pane, i);
+            const t = (pane === "split" ? split.tabs : mainTabs)[i];
+            if (pane === "split") showInSplit(t.folder, t.path);
+            else selectFile(t.folder, t.path);
+        });
+        /* middle click closes, as in browsers */
+        el.addEventListener("auxclick", (e) => {
+            const tab = e.target.closest(".tab");
+            if (tab && e.button === 1)
+                closeTab(pane, Number(tab.dataset.index));
+        });
+    }
+    for (const pane of ["main", "split"])
+        document
+            .getElementById(pane + "Pane")
+            .addEventListener("pointerdown", () => {
+                if (split.open) focusPane(pane);
+            });
+    document.getElementById("splitBtn").addEventListener("click", openSplit);
+    document.getElementById("splitClose").addEventListener("click", closeSplit);
+}
+
 /* ── Modal ─────────────────────────────────────────────────────────── */
 
 function initModal() {
@@ -600,8 +2450,7 @@ function initModal() {
 function initConfigPanel() {
     const overlay = document.getElementById("configOverlay");
     const tabs = overlay.querySelectorAll(".config-tab");
-    const foldersPanel = document.getElementById("configFolders");
-    const ignorePanel = document.getElementById("configIgnore");
+    const panels = overlay.querySelectorAll(".config-panel");
 
     const open = () => {
         overlay.classList.add("open");
@@ -621,17 +2470,29 @@ function initConfigPanel() {
         tab.addEventListener("click", () => {
             tabs.forEach((t) => t.classList.remove("active"));
             tab.classList.add("active");
-            foldersPanel.style.display =
-                tab.dataset.tab === "folders" ? "" : "none";
-            ignorePanel.style.display =
-                tab.dataset.tab === "ignore" ? "" : "none";
+            panels.forEach(
+                (p) =>
+                    (p.style.display =
+                        p.dataset.panel === tab.dataset.tab ? "" : "none"),
+            );
         }),
     );
 
+    /* ── Viewer ── */
+
+    const follow = document.getElementById("configFollowChanges");
+    follow.checked = localStorage.getItem("peekmd-follow-changes") === "on";
+    follow.addEventListener("change", () =>
+        localStorage.setItem(
+            "peekmd-follow-changes",
+            follow.checked ? "on" : "off",
+        ),
+    );
+
     /* ── Folders ── */
 
     async function loadFolders() {
-        const groups = await api.folders();
+        const groups = (await api.folders()) || [];
         const list = document.getElementById("configFolderList");
         if (!groups.length) {
             list.innerHTML =
@@ -658,8 +2519,8 @@ function initConfigPanel() {
                 await api.unlink(btn.dataset.folder);
                 if (activeFolderPath === btn.dataset.folder) {
                     activeFolderPath = activeFilePath = null;
-                    document.getElementById("markdownBody").innerHTML =
-                        '<div class="empty-state">Select a file to preview</div>';
+                    showPlaceholder(emptyState("Select a file to preview"));
+                    history.replaceState(null, "", "/");
                 }
                 loadFolders();
                 refreshSidebar();
@@ -786,21 +2647,51 @@ function initWS() {
                 return;
             }
 
+            if (msg.type === "goto") {
+                goToLine(msg.folder, msg.path, msg.line);
+                return;
+            }
+
+            /* images, PDFs etc. may live in any linked folder */
+            if (msg.type === "asset") {
+                if (msg.event !== "unlink") reloadAsset(msg.folder, msg.path);
+                return;
+            }
+
+            /* any edit may add or drop a link to the open document */
+            if (activeFilePath) loadBacklinks();
+
+            if (msg.version) {
+                const g = (window.groups || []).find(
+                    (g) => g.folder === msg.folder,
+                );
+                if (g?.versions) g.versions[msg.path] = msg.version;
+                /* open documents are re-rendered below: seen as they are */
+                if (
+                    isActive(msg.folder, msg.path) ||
+                    inSplit(msg.folder, msg.path)
+                )
+                    markSeen(msg.folder, msg.path, msg.version);
+                else updateVisitBadge(msg.folder, msg.path);
+            }
+
             /* sidebar always refreshes on add/unlink so new files appear */
             if (msg.type === "add" || msg.type === "unlink") {
                 refreshSidebar();
             }
 
-            if (msg.folder !== activeFolderPath) return;
-
             /* normalize both paths for comparison */
             const msgPath = (msg.path || "").replace(/\\/g, "/");
+            if (inSplit(msg.folder, msgPath)) reloadSplit(msg.type);
+
+            if (msg.folder !== activeFolderPath) return;
             const curPath = (activeFilePath || "").replace(/\\/g, "/");
 
             if (msg.type === "unlink" && msgPath === curPath) {
+                /* keep the editor open so its text can still be copied */
+                if (editing) setEditorStatus("Deleted on disk", "error");
                 activeFilePath = null;
-                document.getElementById("markdownBody").innerHTML =
-                    '<div class="empty-state">File deleted</div>';
+                showPlaceholder(emptyState("File deleted"));
                 return;
             }
 
@@ -808,11 +2699,13 @@ function initWS() {
                 msgPath === curPath &&
                 (msg.type === "change" || msg.type === "add")
             ) {
-                const content = await api.file(
-                    activeFolderPath,
-                    activeFilePath,
-                );
-                if (content !== null) await renderMarkdown(content);
+                if (editing) await editorFileChanged();
+                else await reloadActiveFile();
+                loadGitInfo();
+                if (currentDiff && !currentDiff.to.rev)
+                    showDiff(currentDiff.from.rev, "", {
+                        snapshots: currentDiff.snapshots,
+                    });
             }
         });
     }
@@ -822,29 +2715,35 @@ function initWS() {
 /* ── Init ──────────────────────────────────────────────────────────── */
 
 document.addEventListener("DOMContentLoaded", () => {
-    marked.use({ gfm: true, breaks: false, pedantic: false });
     initTheme();
     initSearch();
     initModal();
     initConfigPanel();
     initWS();
     initTooltips();
-    refreshSidebar();
+    initRouting();
+    initToc();
+    initBacklinks();
+    initPrint();
+    initEditor();
+    initGit();
+    initVisits();
+    initPalette();
+    initKeyboard();
+    initTabs();
+    initSourceLines();
+    refreshSidebar().then(restoreTabs).then(restoreFromUrl);
     // show home page when nothing selected
     if (!activeFolderPath && !activeFilePath) {
-        document.getElementById("markdownBody").innerHTML = HOME_HTML;
+        showPlaceholder(HOME_HTML);
     }
     document
         .getElementById("refreshBtn")
         .addEventListener("click", async () => {
             refreshSidebar();
-            if (activeFolderPath && activeFilePath) {
-                const content = await api.file(
-                    activeFolderPath,
-                    activeFilePath,
-                );
-                if (content !== null) await renderMarkdown(content);
-            }
+            if (editing) await editorFileChanged();
+            else if (activeFolderPath && activeFilePath)
+                await reloadActiveFile();
         });
 });
 
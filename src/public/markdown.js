@@ -0,0 +1,588 @@
+/* Markdown pipeline shared by the browser (window.peekMarkdown) and the
+   server (require("./public/markdown")), so /api/render, `peekmd export`
+   and the viewer all produce the same HTML. */
+(function (root, factory) {
+    if (typeof module === "object" && module.exports)
+        module.exports = factory(
+            require("marked"),
+            require("highlight.js/lib/common"),
+            require("katex"),
+        );
+    else root.peekMarkdown = factory(root.marked, root.hljs, root.katex);
+})(globalThis, function (markedLib, hljs, katex) {
+    "use strict";
+
+    const MARKED_OPTIONS = { gfm: true, breaks: false, pedantic: false };
+    /* top-level blocks rendered outside marked: ```mermaid and ```math
+       fences, and $$ … $$ display math */
+    const BLOCK_RE =
+        /^[ \t]*```(mermaid|math)[ \t]*\n([\s\S]*?)^[ \t]*```[ \t]*$|^[ \t]*\$\$([\s\S]+?)\$\$[ \t]*$/gm;
+    const FENCE_LINE_RE = /^[ \t]*(```|~~~)/gm;
+    const FRONT_MATTER_RE =
+        /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+    const escapeHtml = (s) =>
+        s
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+
+    const unescapeHtml = (s) =>
+        s
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, "&");
+
+    /* GitHub-style slugs so #heading fragments are stable across renders */
+    const slugify = (text) =>
+        text
+            .trim()
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+            .replace(/\s/g, "-");
+
+    /* ── Sanitizer ─────────────────────────────────────────────────── */
+
+    /* raw HTML allowed in documents from untrusted folders (close to what
+       GitHub keeps); every other tag is escaped, and the contents of the
+       DROP_CONTENT elements are removed with them */
+    const ALLOWED_TAGS = new Set(
+        (
+            "a abbr b bdi bdo blockquote br caption center cite code col " +
+            "colgroup dd del details dfn div dl dt em figcaption figure h1 " +
+            "h2 h3 h4 h5 h6 hr i img ins kbd li mark ol p picture pre q rp " +
+            "rt ruby s samp small source span strike strong sub summary sup " +
+            "table tbody td tfoot th thead time tr tt u ul var video audio wbr"
+        ).split(" "),
+    );
+    const DROP_CONTENT = new Set(
+        "script style iframe object embed template noscript textarea title svg math".split(
+            " ",
+        ),
+    );
+    /* no id/name (they could shadow the viewer's own elements), no class,
+       no style and no event handlers */
+    const ALLOWED_ATTRS = new Set(
+        (
+            "align alt cite colspan controls datetime dir height href lang " +
+            "loop media muted open poster reversed rowspan span src srcset " +
+            "start title type valign width"
+        ).split(" "),
+    );
+    const URL_ATTRS = new Set(["href", "src", "srcset", "poster", "cite"]);
+    const SAFE_SCHEMES = /^(https?|mailto|tel):/;
+    const SAFE_DATA = /^data:image\/(png|gif|jpe?g|webp);/;
+
+    const TAG_RE =
+        /<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|<!--[\s\S]*?(?:-->|$)|</g;
+    const ATTR_RE =
+        /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+    const decodeEntities = (s) =>
+        s.replace(/&(#x[\da-f]+|#\d+|amp|lt|gt|quot|apos);?/gi, (m, e) => {
+            const n = e.toLowerCase();
+            if (n[0] !== "#")
+                return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[n];
+            const code =
+                n[1] === "x" ? parseInt(n.slice(2), 16) : parseInt(n.slice(1));
+            return code > 0 && code < 0x110000
+                ? String.fromCodePoint(code)
+                : "";
+        });
+
+    /* relative URLs and http(s)/mailto/tel are fine, as are raster data:
+       images; javascript:, vbscript:, data:text/html… are not */
+    function isSafeUrl(url, image) {
+        const u = url.replace(/[\u0000-\u0020\u007f]/g, "").toLowerCase();
+        if (!/^[a-z][a-z0-9+.-]*:/.test(u)) return true;
+        return SAFE_SCHEMES.test(u) || (image && SAFE_DATA.test(u));
+    }
+
+    function sanitizeTag(name, attrs, selfClose) {
+        let out = "<" + name;
+        let m;
+        ATTR_RE.lastIndex = 0;
+        while ((m = ATTR_RE.exec(attrs)) !== null) {
+            const attr = m[1].toLowerCase();
+            if (!ALLOWED_ATTRS.has(attr)) continue;
+            const value = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+            if (URL_ATTRS.has(attr)) {
+                const urls =
+                    attr === "srcset"
+                        ? value.split(",").map((c) => c.trim().split(/\s+/)[0])
+                        : [value];
+                if (!urls.every((u) => isSafeUrl(u, attr !== "href"))) continue;
+            }
+            out += ` ${attr}="${escapeHtml(value)}"`;
+        }
+        if (name === "a") out += ' rel="noopener noreferrer"';
+        return out + (selfClose ? " />" : ">");
+    }
+
+    /**
+     * Reduce an HTML fragment to the allowlisted tags and attributes.
+     * Every tag in the output is rebuilt from its parsed name and
+     * attributes; anything else that looks like markup is escaped.
+     * @param {string} html
+     * @returns {string}
+     */
+    function sanitizeHtml(html) {
+        let out = "",
+            cursor = 0,
+            dropping = null,
+            m;
+        TAG_RE.lastIndex = 0;
+        while ((m = TAG_RE.exec(html)) !== null) {
+            if (!dropping) out += html.slice(cursor, m.index);
+            cursor = m.index + m[0].length;
+            const [whole, closing, rawName, attrs, selfClose] = m;
+            const name = (rawName || "").toLowerCase();
+            if (dropping) {
+                if (closing && name === dropping) dropping = null;
+                continue;
+            }
+            if (whole === "<") out += "&lt;";
+            else if (!name) continue; /* comment */
+            else if (DROP_CONTENT.has(name)) {
+                if (!closing && !selfClose) dropping = name;
+            } else if (!ALLOWED_TAGS.has(name)) out += escapeHtml(whole);
+            else if (closing) out += `</${name}>`;
+            else out += sanitizeTag(name, attrs, selfClose);
+        }
+        return dropping ? out : out + html.slice(cursor);
+    }
+
+    /* per-render state, reset at the top of render() */
+    let slugCounts = new Map();
+    let rewriteHref = null;
+    let trusted = false;
+
+    function uniqueSlug(text) {
+        const base = slugify(text) || "section";
+        const n = slugCounts.get(base) || 0;
+        slugCounts.set(base, n + 1);
+        return n ? `${base}-${n}` : base;
+    }
+
+    /* ```js {1,3-5} → language "js", highlighted lines 1, 3, 4, 5 */
+    function parseInfo(info) {
+        const m = /^([^\s{]*)\s*(?:\{([\d\s,-]*)\})?/.exec(info || "");
+        const lines = new Set();
+        for (const part of (m[2] || "").split(",")) {
+            const [from, to = from] = part.split("-").map(Number);
+            if (!from || !to) continue;
+            for (let n = from; n <= Math.min(to, from + 10000); n++)
+                lines.add(n);
+        }
+        return { lang: m[1].toLowerCase(), lines };
+    }
+
+    /* split highlighted HTML into lines, re-opening spans across newlines */
+    function splitLines(html) {
+        const open = [];
+        return html.split("\n").map((line) => {
+            const prefix = open.join("");
+            for (const [tag] of line.matchAll(/<\/?span[^>]*>/g))
+                if (tag[1] === "/") open.pop();
+                else open.push(tag);
+            return prefix + line + "</span>".repeat(open.length);
+        });
+    }
+
+    function highlight(code, lang) {
+        if (!hljs || !lang || !hljs.getLanguage(lang)) return escapeHtml(code);
+        return hljs.highlight(code, {
+            language: lang,
+            ignoreIllegals: true,
+        }).value;
+    }
+
+    /* ── Math ──────────────────────────────────────────────────────── */
+
+    /**
+     * Typeset TeX with KaTeX; a parse error shows the source and the
+     * message in place of the formula.
+     * @param {string} tex
+     * @param {boolean} display - Block (display) rather than inline math
+     * @returns {string}
+     */
+    function renderMath(tex, display) {
+        try {
+            if (!katex) throw new Error("math renderer not loaded");
+            return katex.renderToString(tex, {
+                displayMode: display,
+                throwOnError: true,
+                output: "htmlAndMathml",
+                trust: false,
+                strict: "ignore",
+            });
+        } catch (e) {
+            const message = escapeHtml(
+                String(e.message || e).replace(/^KaTeX parse error: /, ""),
+            );
+            const source = escapeHtml(display ? tex.trim() : `$${tex}$`);
+            return `<span class="math-error" title="${message}"><code>${source}</code><span class="math-error-msg">${message}</span></span>`;
+        }
+    }
+
+    /* $…$ and $$…$$ inside text; like Pandoc, an opening $ must not be
+       followed by a space, nor a closing one preceded by a space or
+       followed by a digit, so "$5 and $10" stays text */
+    const INLINE_MATH_RE =
+        /^\$\$(?!\$)([\s\S]+?)\$\$|^\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/;
+
+    const inlineMath = {
+        name: "inlineMath",
+        level: "inline",
+        start: (src) => src.indexOf("$"),
+        tokenizer(src) {
+            const m = INLINE_MATH_RE.exec(src);
+            if (m)
+                return {
+                    type: "inlineMath",
+                    raw: m[0],
+                    text: m[1] ?? m[2],
+                    display: m[1] !== undefined,
+                };
+        },
+        renderer: ({ text, display }) => renderMath(text, display),
+    };
+
+    const md = new markedLib.Marked(MARKED_OPTIONS);
+    md.use({
+        extensions: [inlineMath],
+        walkTokens(token) {
+            if (token.type !== "link" && token.type !== "image") return;
+            if (!trusted && !isSafeUrl(token.href, token.type === "image"))
+                token.href = "#";
+            else if (rewriteHref)
+                token.href = rewriteHref(token.href, token.type);
+        },
+        renderer: {
+            html({ text }) {
+                return trusted ? text : sanitizeHtml(text);
+            },
+            heading({ tokens, depth }) {
+                const inner = this.parser.parseInline(tokens);
+                const id = uniqueSlug(
+                    unescapeHtml(inner.replace(/<[^>]*>/g, "")),
+                );
+                return `<h${depth} id="${escapeHtml(id)}">${inner}</h${depth}>\n`;
+            },
+            code({ text, lang }) {
+                if (lang === MDX_FENCE) return mdxPlaceholder(text);
+                return codeBlock(text, lang);
+            },
+        },
+    });
+
+    function codeBlock(text, lang) {
+        const info = parseInfo(lang);
+        const lines = splitLines(highlight(text.replace(/\n$/, ""), info.lang));
+        const body = lines
+            .map(
+                (l, i) =>
+                    `<span class="code-line${info.lines.has(i + 1) ? " hl" : ""}">${l}</span>`,
+            )
+            .join("\n");
+        const cls = info.lang ? ` language-${escapeHtml(info.lang)}` : "";
+        return `<div class="code-block" data-lines="${lines.length}"><button class="code-copy" type="button">Copy</button><pre><code class="hljs${cls}">${body}</code></pre></div>\n`;
+    }
+
+    /* ── MDX ───────────────────────────────────────────────────────── */
+
+    /* JSX blocks travel through marked as fences in this private language */
+    const MDX_FENCE = "peekmd-mdx-jsx";
+    const ESM_RE = /^(import|export)\s/;
+    const JSX_OPEN_RE = /^[ \t]*<([A-Z][\w.]*|>)/;
+    const FENCE_RE = /^[ \t]*(`{3,}|~{3,})/;
+
+    /* the block shows which component would render here, not its output */
+    function mdxPlaceholder(text) {
+        const m = JSX_OPEN_RE.exec(text);
+        const name = m ? (m[1] === ">" ? "Fragment" : m[1]) : "JSX";
+        return `<div class="mdx-block" title="${escapeHtml(text.replace(/\n$/, ""))}"><span class="mdx-block-name">&lt;${escapeHtml(name)}&gt;</span> component — not rendered</div>\n`;
+    }
+
+    /* end line (inclusive) of the JSX block opening at `start` */
+    function jsxBlockEnd(lines, start, name) {
+        const closing = name === ">" ? "</>" : `</${name}>`;
+        const selfClosing = new RegExp(
+            `^[ \\t]*<${name.replace(/\./g, "\\.")}\\b[^>]*/>`,
+        );
+        let text = "";
+        for (let i = start; i < lines.length; i++) {
+            text += lines[i] + "\n";
+            if (text.includes(closing) || selfClosing.test(text)) return i;
+        }
+        /* unbalanced: stop at the first blank line */
+        let i = start;
+        while (i + 1 < lines.length && lines[i + 1].trim()) i++;
+        return i;
+    }
+
+    /**
+     * Turn MDX into Markdown: import/export statements are dropped and
+     * top-level JSX blocks become inert placeholders. Fenced code is left
+     * alone.
+     * @param {string} body - MDX source without front matter
+     * @returns {string}
+     */
+    function mdxToMarkdown(body) {
+        const lines = body.split("\n");
+        const out = [];
+        let fence = null;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const f = FENCE_RE.exec(line);
+            if (fence) {
+                if (f && f[1][0] === fence[0] && f[1].length >= fence.length)
+                    fence = null;
+                out.push(line);
+                continue;
+            }
+            if (f) {
+                fence = f[1];
+                out.push(line);
+                continue;
+            }
+            if (ESM_RE.test(line)) {
+                while (i + 1 < lines.length && lines[i + 1].trim()) i++;
+                continue;
+            }
+            const jsx = JSX_OPEN_RE.exec(line);
+            if (!jsx) {
+                out.push(line);
+                continue;
+            }
+            const end = jsxBlockEnd(lines, i, jsx[1]);
+            const block = lines.slice(i, end + 1).join("\n");
+            const ticks = "`".repeat(
+                Math.max(
+                    3,
+                    ...(block.match(/`+/g) || []).map((t) => t.length + 1),
+                ),
+            );
+            out.push("", ticks + MDX_FENCE, block, ticks, "");
+            i = end;
+        }
+        return out.join("\n");
+    }
+
+    /**
+     * Separate a leading YAML front matter block from the document.
+     * @param {string} raw
+     * @returns {{yaml: string|null, body: string, lines: number}} `lines`
+     *   is how many source lines the block occupied
+     */
+    function splitFrontMatter(raw) {
+        const m = FRONT_MATTER_RE.exec(raw);
+        if (!m) return { yaml: null, body: raw, lines: 0 };
+        return {
+            yaml: m[1],
+            body: raw.slice(m[0].length),
+            lines: m[0].split("\n").length - (m[0].endsWith("\n") ? 1 : 0),
+        };
+    }
+
+    const metaValue = (v) =>
+        v !== null && typeof v === "object" && !Array.isArray(v)
+            ? JSON.stringify(v)
+            : String(v);
+
+    /**
+     * Metadata header shown above a document with front matter.
+     * @param {object|null} meta - Parsed front matter
+     * @returns {string}
+     */
+    function renderMeta(meta) {
+        if (!meta || typeof meta !== "object") return "";
+        const rows = Object.entries(meta)
+            .filter(([, v]) => v !== null && v !== undefined && v !== "")
+            .map(([key, value]) => {
+                let html;
+                if (/^tags?$/i.test(key))
+                    html = (
+                        Array.isArray(value) ? value : String(value).split(",")
+                    )
+                        .map(
+                            (t) =>
+                                `<span class="doc-meta-tag">${escapeHtml(String(t).trim())}</span>`,
+                        )
+                        .join("");
+                else if (/^status$/i.test(key))
+                    html = `<span class="doc-meta-status" data-status="${escapeHtml(slugify(String(value)))}">${escapeHtml(String(value))}</span>`;
+                else if (Array.isArray(value))
+                    html = escapeHtml(value.map(metaValue).join(", "));
+                else html = escapeHtml(metaValue(value));
+                return `<div class="doc-meta-row"><span class="doc-meta-key">${escapeHtml(key)}</span><span class="doc-meta-value">${html}</span></div>`;
+            });
+        return rows.length
+            ? `<div class="doc-meta">${rows.join("")}</div>\n`
+            : "";
+    }
+
+    /* inside an unclosed ``` or ~~~ fence at `index` */
+    function inFence(raw, index) {
+        const fences = raw.slice(0, index).match(FENCE_LINE_RE);
+        return !!fences && fences.length % 2 === 1;
+    }
+
+    /**
+     * Split raw Markdown into Markdown, mermaid and math segments. Mermaid
+     * fences are kept verbatim so they can be rendered to SVG client-side;
+     * math (```math fences and $$ blocks) is kept away from marked, whose
+     * emphasis rules would eat its _ and *.
+     * @param {string} raw
+     * @returns {{type: "md"|"mermaid"|"math", text: string, line: number}[]}
+     *   `line` is the 0-based line of `raw` the segment starts on
+     */
+    function splitSegments(raw) {
+        const segments = [];
+        let cursor = 0,
+            line = 0,
+            match;
+        BLOCK_RE.lastIndex = 0;
+        while ((match = BLOCK_RE.exec(raw)) !== null) {
+            if (match[3] !== undefined && inFence(raw, match.index)) continue;
+            const text = raw.slice(cursor, match.index);
+            if (text) segments.push({ type: "md", text, line });
+            line += countNewlines(text);
+            segments.push(
+                match[1] === "mermaid"
+                    ? { type: "mermaid", text: match[2].trim(), line }
+                    : { type: "math", text: match[2] ?? match[3], line },
+            );
+            line += countNewlines(match[0]);
+            cursor = match.index + match[0].length;
+        }
+        if (cursor < raw.length)
+            segments.push({ type: "md", text: raw.slice(cursor), line });
+        return segments;
+    }
+
+    const countNewlines = (s) => s.split("\n").length - 1;
+
+    /* add data-line="<line>" to the first element of a block's HTML */
+    const tagLine = (html, line) =>
+        line
+            ? html.replace(
+                  /^\s*<[a-z][\w-]*/i,
+                  (open) => `${open} data-line="${line}"`,
+              )
+            : html;
+
+    /* marked's parse(), a top-level block at a time so that each can be
+       tagged with the 1-based source line it starts on (0: untagged) */
+    function parseBlocks(text, line) {
+        const tokens = md.lexer(text);
+        md.walkTokens(tokens, md.defaults.walkTokens);
+        let html = "";
+        for (const token of tokens) {
+            html += tagLine(md.parser([token]), line);
+            if (line) line += countNewlines(token.raw);
+        }
+        return html;
+    }
+
+    const headingSlug = (text) =>
+        uniqueSlug(unescapeHtml(md.parseInline(text).replace(/<[^>]*>/g, "")));
+
+    /**
+     * Heading ids and link targets of a document, without rendering it.
+     * Ids match the ones render() assigns; link lines are 1-based source
+     * lines (front matter included).
+     * @param {string} raw - Markdown source
+     * @returns {{anchors: string[], links: {href: string, line: number}[]}}
+     */
+    function scanDocument(raw) {
+        const { body, lines } = splitFrontMatter(raw);
+        const anchors = [],
+            links = [];
+        slugCounts = new Map();
+        let offset = 0;
+        for (const block of md.lexer(body)) {
+            const start = offset;
+            let from = 0;
+            offset += block.raw.length;
+            md.walkTokens([block], (t) => {
+                if (t.type === "heading") anchors.push(headingSlug(t.text));
+                if (t.type !== "link" && t.type !== "image") return;
+                const at = block.raw.indexOf(t.raw, from);
+                if (at !== -1) from = at + 1;
+                const before = body.slice(0, start + Math.max(at, 0));
+                links.push({
+                    href: t.href,
+                    line: lines + before.split("\n").length,
+                });
+            });
+        }
+        return { anchors, links };
+    }
+
+    /**
+     * Render a Markdown document to HTML.
+     * @param {string} raw - Markdown source
+     * @param {object} [opts]
+     * @param {function(string, string): string} [opts.rewriteHref] - Maps
+     *   every link/image href (second argument is the token type)
+     * @param {object} [opts.meta] - Parsed front matter to show as a header
+     * @param {boolean} [opts.trusted] - Keep raw HTML and unsafe URLs as
+     *   written instead of sanitizing them
+     * @param {"markdown"|"mdx"|"text"} [opts.kind] - Document type; text
+     *   files render as one code block
+     * @param {string} [opts.lang] - Highlighting language of a text file
+     * @param {boolean} [opts.sourceLines] - Give every top-level block a
+     *   data-line attribute: the 1-based source line it starts on (front
+     *   matter included). Not for MDX, whose JSX blocks shift lines.
+     * @returns {string}
+     */
+    function render(raw, opts = {}) {
+        if (opts.kind === "text") return codeBlock(raw, opts.lang || "");
+        slugCounts = new Map();
+        rewriteHref = opts.rewriteHref || null;
+        trusted = !!opts.trusted;
+        try {
+            const front = splitFrontMatter(raw);
+            const lines = opts.sourceLines && opts.kind !== "mdx";
+            let html = tagLine(renderMeta(opts.meta), lines ? 1 : 0),
+                mid = 0;
+            let body = front.body;
+            if (opts.kind === "mdx") body = mdxToMarkdown(body);
+            for (const s of splitSegments(body)) {
+                const line = lines ? front.lines + s.line + 1 : 0;
+                if (s.type === "md") html += parseBlocks(s.text, line);
+                else if (s.type === "math")
+                    html += tagLine(
+                        `<div class="math-block">${renderMath(s.text, true)}</div>\n`,
+                        line,
+                    );
+                else
+                    html += tagLine(
+                        `<div class="mermaid-container"><pre class="mermaid" id="m${++mid}">${escapeHtml(s.text)}</pre></div>`,
+                        line,
+                    );
+            }
+            return html;
+        } finally {
+            rewriteHref = null;
+            trusted = false;
+        }
+    }
+
+    return {
+        MARKED_OPTIONS,
+        render,
+        mdxToMarkdown,
+        renderMeta,
+        sanitizeHtml,
+        scanDocument,
+        splitFrontMatter,
+        splitSegments,
+        slugify,
+        escapeHtml,
+    };
+});
@@ -0,0 +1,392 @@
+"use strict";
+
+const path = require("node:path");
+const fs = require("node:fs/promises");
+const markdown = require("./public/markdown");
+const { MANIFEST, vendorFile } = require("./vendor");
+const { parseFrontMatter } = require("./frontmatter");
+const config = require("./config");
+
+const PUBLIC_DIR = path.join(__dirname, "public");
+const SITE_ASSETS = "_peekmd";
+
+const escapeHtml = markdown.escapeHtml;
+const isExternal = (href) => /^([a-z][a-z0-9+.-]*:|\/\/|#|\/)/i.test(href);
+/* guide.md → guide.html; text files keep their extension: a.py → a.py.html */
+const toHtmlPath = (rel) =>
+    (config.docType(rel)?.kind === "text"
+        ? rel
+        : rel.replace(/\.[^./]+$/, "")) + ".html";
+
+/**
+ * Render one document of a folder to HTML: Markdown with its front matter
+ * shown as a metadata header, text and source files as code.
+ * @param {string} folder - Absolute folder path
+ * @param {string} rel - File path relative to the folder
+ * @param {object} [opts] - Passed through to peekMarkdown.render
+ * @returns {Promise<string>}
+ */
+async function renderFile(folder, rel, opts) {
+    const raw = await fs.readFile(path.join(folder, rel), "utf-8");
+    return markdown.render(raw, {
+        meta: parseFrontMatter(raw).meta,
+        ...(config.docType(rel) || { kind: "text" }),
+        ...opts,
+    });
+}
+
+/* ── Static export ─────────────────────────────────────────────────── */
+
+/* relative links to other documents point at their exported .html page */
+function rewriteDocLink(href) {
+    if (!href || isExternal(href)) return href;
+    const [target, ...hash] = href.split("#");
+    if (!config.docType(target)) return href;
+    return [toHtmlPath(target), ...hash].join("#");
+}
+
+/* local files referenced by src/href attributes, relative to the folder;
+   hidden and ignored ones are left out, as /files/ refuses them too */
+function collectAssets(html, rel, folder) {
+    const found = [];
+    const re = /\s(?:src|href)="([^"]+)"/g;
+    let m;
+    while ((m = re.exec(html)) !== null) {
+        let ref = m[1].replace(/&amp;/g, "&").split(/[?#]/)[0];
+        if (!ref || isExternal(ref) || /\.html$/i.test(ref)) continue;
+        try {
+            ref = decodeURIComponent(ref);
+        } catch {}
+        if (config.docType(ref)) continue;
+        const joined = path.posix.normalize(
+            path.posix.join(path.posix.dirname(rel), ref),
+        );
+        if (!joined.startsWith("../") && !config.isHidden(joined, folder))
+            found.push(joined);
+    }
+    return found;
+}
+
+function buildTree(files) {
+    const root = {};
+    for (const f of files) {
+        const parts = f.split("/");
+        let node = root;
+        for (let i = 0; i < parts.length - 1; i++) node = node[parts[i]] ??= {};
+        node[parts.at(-1)] = null;
+    }
+    return root;
+}
+
+/* same markup as the viewer's renderTree, with real links */
+function renderTree(tree, current, prefix, depth) {
+    const up = "../".repeat(current.split("/").length - 1);
+    return Object.keys(tree)
+        .sort((a, b) => {
+            const ad = tree[a] !== null,
+                bd = tree[b] !== null;
+            return ad !== bd ? (ad ? -1 : 1) : a.localeCompare(b);
+        })
+        .map((name) => {
+            const fullPath = prefix ? prefix + "/" + name : name;
+            if (tree[name] === null) {
+                const active = fullPath === current ? " active" : "";
+                const href = up + toHtmlPath(fullPath);
+                return `<a class="file-item${active}" href="${escapeHtml(encodeURI(href))}" style="padding-left:${14 + depth * 16}px">${escapeHtml(name)}</a>`;
+            }
+            return `<div class="tree-dir"><div class="tree-dir-header" style="padding-left:${10 + depth * 16}px"><span>${escapeHtml(name)}</span></div><div class="tree-dir-children">${renderTree(tree[name], current, fullPath, depth + 1)}</div></div>`;
+        })
+        .join("");
+}
+
+function pageTitle(html, rel) {
+    const m = /<h1[^>]*>([\s\S]*?)<\/h1>/.exec(html);
+    const text = m ? m[1].replace(/<[^>]*>/g, "").trim() : "";
+    return text || path.posix.basename(rel);
+}
+
+const SITE_SCRIPT = `
+document.querySelectorAll(".tree-dir-header").forEach(function (el) {
+    el.addEventListener("click", function () {
+        el.parentElement.classList.toggle("collapsed");
+    });
+});
+document.querySelectorAll(".code-copy").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+        var code = btn.parentElement.querySelector("code").textContent;
+        navigator.clipboard.writeText(code).then(function () {
+            btn.textContent = "Copied";
+            setTimeout(function () { btn.textContent = "Copy"; }, 1200);
+        });
+    });
+});
+if (window.mermaid) {
+    mermaid.initialize({
+        startOnLoad: false,
+        theme: document.documentElement.dataset.theme === "dark" ? "dark" : "default",
+    });
+    mermaid.run({ querySelector: "pre.mermaid" });
+}
+/* printed copies list link targets as numbered footnotes */
+window.addEventListener("beforeprint", function () {
+    var body = document.querySelector(".markdown-body"), urls = [];
+    body.querySelectorAll('a[href^="http"], a[href^="mailto:"]').forEach(function (a) {
+        if (a.textContent.trim() === a.getAttribute("href")) return;
+        var n = urls.indexOf(a.href) + 1 || urls.push(a.href);
+        var ref = document.createElement("sup");
+        ref.className = "print-only print-footnote-ref";
+        ref.textContent = n;
+        a.after(ref);
+    });
+    if (!urls.length) return;
+    var list = document.createElement("section");
+    list.className = "print-only print-footnotes";
+    list.innerHTML = "<h2>Links</h2><ol></ol>";
+    urls.forEach(function (url) {
+        list.lastChild.appendChild(document.createElement("li")).textContent = url;
+    });
+    body.appendChild(list);
+});
+window.addEventListener("afterprint", function () {
+    document.querySelectorAll(".print-only").forEach(function (el) { el.remove(); });
+});`;
+
+/* quoted CSS string that cannot close the surrounding <style> */
+const cssString = (s) =>
+    '"' +
+    s.replace(/[\\"]/g, "\\$&").replace(/</g, "\\3c ").replace(/\s+/g, " ") +
+    '"';
+
+/* running header of printed pages */
+const printHeader = (title) =>
+    `<style>@media print { @page { @top-center { content: ${cssString(title)}; } } }</style>`;
+
+function pageTemplate({ name, title, body, tree, up, mermaid, math }) {
+    return `<!doctype html>
+<html lang="en" data-theme="dark">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(title)} · ${escapeHtml(name)}</title>
+${printHeader(title)}
+${math ? `<link rel="stylesheet" href="${up}${SITE_ASSETS}/katex/katex.min.css" />\n` : ""}<link rel="stylesheet" href="${up}${SITE_ASSETS}/style.css" />
+<style>.folder-list a.file-item { text-decoration: none; }</style>
+<script>document.documentElement.dataset.theme = localStorage.getItem("peekmd-theme") || "dark";</script>
+</head>
+<body>
+<div class="layout">
+<aside class="sidebar">
+<div class="sidebar-header"><div class="logo-container"><h1 class="logo">${escapeHtml(name)}</h1></div></div>
+<nav class="folder-list">${tree}</nav>
+</aside>
+<main class="content"><article class="markdown-body">${body}</article></main>
+</div>
+${mermaid ? `<script src="${up}${SITE_ASSETS}/mermaid.min.js"></script>\n` : ""}<script>${SITE_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+async function copyInto(src, dest) {
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+    await fs.copyFile(src, dest);
+}
+
+/**
+ * Write a self-contained static HTML site for a folder: one page per
+ * document (same relative layout, .md → .html), a sidebar tree on every
+ * page, and the local assets those pages reference.
+ * @param {string} folder - Absolute folder path
+ * @param {string[]} files - Documents relative to the folder
+ * @param {string} outDir - Absolute output directory
+ * @param {object} [opts]
+ * @param {boolean} [opts.trusted] - Keep raw HTML (see peekMarkdown.render)
+ * @returns {Promise<{pages: number, assets: number, out: string}>}
+ */
+async function exportSite(folder, files, outDir, { trusted = false } = {}) {
+    const name = path.basename(folder);
+    const tree = buildTree(files);
+    const assets = new Set();
+    let mermaid = false,
+        math = false;
+
+    for (const rel of files) {
+        const body = await renderFile(folder, rel, {
+            rewriteHref: rewriteDocLink,
+            trusted,
+        });
+        for (const a of collectAssets(body, rel, folder)) assets.add(a);
+        const hasMermaid = body.includes('<pre class="mermaid"');
+        mermaid ||= hasMermaid;
+        const hasMath = body.includes('class="katex');
+        math ||= hasMath;
+
+        const dest = path.join(outDir, toHtmlPath(rel));
+        await fs.mkdir(path.dirname(dest), { recursive: true });
+        await fs.writeFile(
+            dest,
+            pageTemplate({
+                name,
+                title: pageTitle(body, rel),
+                body,
+                tree: renderTree(tree, rel, "", 0),
+                up: "../".repeat(rel.split("/").length - 1),
+                mermaid: hasMermaid,
+                math: hasMath,
+            }),
+        );
+    }
+
+    await copyInto(
+        path.join(PUBLIC_DIR, "style.css"),
+        path.join(outDir, SITE_ASSETS, "style.css"),
+    );
+    if (mermaid)
+        await copyInto(
+            vendorFile("mermaid", "mermaid.min.js"),
+            path.join(outDir, SITE_ASSETS, "mermaid.min.js"),
+        );
+    if (math)
+        for (const file of MANIFEST.katex.files)
+            if (!file.endsWith(".js"))
+                await copyInto(
+                    vendorFile("katex", file),
+                    path.join(outDir, SITE_ASSETS, "katex", file),
+                );
+
+    let copied = 0;
+    for (const rel of assets) {
+        try {
+            await copyInto(path.join(folder, rel), path.join(outDir, rel));
+            copied++;
+        } catch {}
+    }
+
+    /* landing page: the folder's own index, else README, else first file */
+    if (!files.some((f) => toHtmlPath(f) === "index.html") && files.length) {
+        const start =
+            files.find((f) => /^readme\.[^./]+$/i.test(f)) || files[0];
+        const href = escapeHtml(encodeURI(toHtmlPath(start)));
+        await fs.writeFile(
+            path.join(outDir, "index.html"),
+            `<!doctype html>\n<meta charset="UTF-8" />\n<meta http-equiv="refresh" content="0; url=${href}" />\n<a href="${href}">${escapeHtml(start)}</a>\n`,
+        );
+    }
+
+    return { pages: files.length, assets: copied, out: outDir };
+}
+
+/* ── Single-file export ────────────────────────────────────────────── */
+
+const MIME_TYPES = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    avif: "image/avif",
+    svg: "image/svg+xml",
+    bmp: "image/bmp",
+    ico: "image/x-icon",
+    pdf: "application/pdf",
+    mp4: "video/mp4",
+    webm: "video/webm",
+    mp3: "audio/mpeg",
+    wav: "audio/wav",
+    ogg: "audio/ogg",
+    woff2: "font/woff2",
+};
+
+async function dataUri(file) {
+    const ext = path.extname(file).slice(1).toLowerCase();
+    const type = MIME_TYPES[ext] || "application/octet-stream";
+    return `data:${type};base64,${(await fs.readFile(file)).toString("base64")}`;
+}
+
+/* KaTeX's stylesheet with its woff2 fonts embedded and the rest dropped */
+async function inlineKatexCss() {
+    let css = await fs.readFile(vendorFile("katex", "katex.min.css"), "utf-8");
+    css = css.replace(/,url\([^)]+\.(?:woff|ttf)\) format\("[^"]+"\)/g, "");
+    for (const file of MANIFEST.katex.files.filter((f) => f.endsWith(".woff2")))
+        css = css.replace(
+            `url(${file})`,
+            `url(${await dataUri(vendorFile("katex", file))})`,
+        );
+    return css;
+}
+
+/* inline <script> text must not end the element early */
+const inlineScript = (js) => js.replace(/<\/script/gi, "<\\/script");
+
+/**
+ * Write one document as a single self-contained HTML file for sharing or
+ * "Save as PDF": stylesheets, fonts and local images are embedded, and
+ * Mermaid is bundled in when the page has diagrams.
+ * @param {string} root - Folder local assets must stay inside
+ * @param {string} rel - Document path relative to `root`
+ * @param {string} outFile - Absolute output file
+ * @param {object} [opts]
+ * @param {boolean} [opts.trusted] - Keep raw HTML (see peekMarkdown.render)
+ * @returns {Promise<{assets: number, out: string}>}
+ */
+async function exportDocument(root, rel, outFile, { trusted = false } = {}) {
+    let body = await renderFile(root, rel, { trusted });
+    const assets = new Map();
+    for (const asset of collectAssets(body, rel, root)) {
+        try {
+            assets.set(asset, await dataUri(path.join(root, asset)));
+        } catch {}
+    }
+    const dir = path.posix.dirname(rel);
+    body = body.replace(/(\ssrc=")([^"]+)"/g, (all, attr, ref) => {
+        let target = ref.replace(/&amp;/g, "&").split(/[?#]/)[0];
+        try {
+            target = decodeURIComponent(target);
+        } catch {}
+        const uri = assets.get(
+            path.posix.normalize(path.posix.join(dir, target)),
+        );
+        return uri ? `${attr}${uri}"` : all;
+    });
+
+    const title = pageTitle(body, rel);
+    const mermaid = body.includes('<pre class="mermaid"');
+    const styles = [
+        ...(body.includes('class="katex') ? [await inlineKatexCss()] : []),
+        await fs.readFile(path.join(PUBLIC_DIR, "style.css"), "utf-8"),
+    ];
+    const scripts = [
+        ...(mermaid
+            ? [
+                  await fs.readFile(
+                      vendorFile("mermaid", "mermaid.min.js"),
+                      "utf-8",
+                  ),
+              ]
+            : []),
+        SITE_SCRIPT,
+    ];
+
+    await fs.mkdir(path.dirname(outFile), { recursive: true });
+    await fs.writeFile(
+        outFile,
+        `<!doctype html>
+<html lang="en" data-theme="light">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(title)}</title>
+${styles.map((css) => `<style>${css.replace(/<\/style/gi, "<\\/style")}</style>`).join("\n")}
+${printHeader(title)}
+</head>
+<body>
+<main class="content standalone"><article class="markdown-body">${body}</article></main>
+${scripts.map((js) => `<script>${inlineScript(js)}</script>`).join("\n")}
+</body>
+</html>
+`,
+    );
+    return { assets: assets.size, out: outFile };
+}
+
+module.exports = { renderFile, exportSite, exportDocument };
@@ -0,0 +1,338 @@
+"use strict";
+
+const path = require("node:path");
+const fs = require("node:fs/promises");
+const vm = require("node:vm");
+const picomatch = require("picomatch");
+const { parseFrontMatter, metaTags } = require("./frontmatter");
+
+/* BM25 parameters */
+const K1 = 1.2;
+const B = 0.75;
+
+const MAX_MATCHES = 50;
+const PREFIX_WEIGHT = 0.6;
+const PATH_BOOST = 1.5;
+const TOKEN_RE = /[\p{L}\p{N}_]+/gu;
+/* user patterns run on the server's event loop: keep them short and cut
+   off a search whose regex matching takes longer than this */
+const MAX_REGEX_LENGTH = 200;
+const REGEX_TIMEOUT_MS = 1000;
+
+const tokenize = (text) => text.toLowerCase().match(TOKEN_RE) || [];
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Parse a search query.
+ *
+ *   foo bar           every term must appear (prefix match), BM25-ranked
+ *   "exact phrase"    words must appear next to each other on one line
+ *   regex:<pattern>   lines matching a regular expression (case-insensitive)
+ *   folder:<name>     only linked folders whose name or path contains <name>
+ *   path:<glob>       only files matching a glob, or containing the text
+ *   tag:<name>        only files whose front matter `tags` include <name>
+ *   status:<value>    only files whose front matter `status` is <value>
+ *
+ * Values may be quoted (`path:"my docs/**"`). Throws on an invalid or
+ * overlong regex.
+ * @param {string} input
+ */
+function parseQuery(input) {
+    const query = {
+        terms: [],
+        phrases: [],
+        regex: null,
+        folder: [],
+        path: [],
+        tag: [],
+        status: [],
+    };
+    const re = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(input)) !== null) {
+        const key = (m[1] || m[3] || "").toLowerCase();
+        const value = m[2] ?? m[4];
+        if (key === "regex") {
+            if (value.length > MAX_REGEX_LENGTH)
+                throw new Error(
+                    `regex longer than ${MAX_REGEX_LENGTH} characters`,
+                );
+            query.regex = new RegExp(value, "iu");
+        } else if (["folder", "path", "tag", "status"].includes(key))
+            query[key].push(value);
+        else if (m[5] !== undefined) {
+            const words = tokenize(m[5]);
+            if (words.length > 1) query.phrases.push(words);
+            else query.terms.push(...words);
+        } else query.terms.push(...tokenize(m[0]));
+    }
+    return query;
+}
+
+/* a phrase matches its words separated by any run of non-word characters */
+const phraseRegex = (words) =>
+    new RegExp(words.map(escapeRe).join("[^\\p{L}\\p{N}_]+"), "iu");
+
+/* a vm script's timeout can interrupt a backtracking regex, which a
+   plain loop cannot */
+const regexScript = new vm.Script("lines.map((line) => re.test(line))");
+
+/* which lines of a document match; the context holds the query's regex */
+function regexLines(context, lines, deadline) {
+    context.lines = lines;
+    try {
+        return regexScript.runInContext(context, {
+            timeout: Math.max(1, deadline - Date.now()),
+        });
+    } catch (e) {
+        if (e.code === "ERR_SCRIPT_EXECUTION_TIMEOUT")
+            throw new Error("regex search took too long");
+        throw e;
+    } finally {
+        context.lines = null;
+    }
+}
+
+function pathMatcher(pattern) {
+    if (/[*?[\]{}]/.test(pattern)) return picomatch(pattern, { dot: true });
+    const needle = pattern.toLowerCase();
+    return (file) => file.toLowerCase().includes(needle);
+}
+
+/* front matter filters compare case-insensitively */
+function metaMatches(meta, q) {
+    const tags = metaTags(meta).map((t) => t.toLowerCase());
+    const status = String(meta?.status ?? "").toLowerCase();
+    return (
+        q.tag.every((t) => tags.includes(t.toLowerCase())) &&
+        q.status.every((s) => status === s.toLowerCase())
+    );
+}
+
+/**
+ * In-memory inverted index over the Markdown files of linked folders.
+ * Kept current by feeding it watcher events (see apply()).
+ * @param {object} opts
+ * @param {function(string): Promise<string[]>} opts.scan - Lists the
+ *   Markdown files of a folder (relative paths)
+ */
+function createSearchIndex({ scan }) {
+    /* key -> { folder, file, meta, lines, terms: Map<term, tf>, length } */
+    const docs = new Map();
+    /* term -> Set<key> */
+    const postings = new Map();
+    /* folder -> Promise resolved once its initial build is done */
+    const building = new Map();
+    let totalLength = 0;
+
+    const keyOf = (folder, file) => folder + "\0" + file;
+
+    function remove(key) {
+        const doc = docs.get(key);
+        if (!doc) return;
+        for (const term of doc.terms.keys()) {
+            const set = postings.get(term);
+            set.delete(key);
+            if (!set.size) postings.delete(term);
+        }
+        totalLength -= doc.length;
+        docs.delete(key);
+    }
+
+    function add(folder, file, text) {
+        const key = keyOf(folder, file);
+        remove(key);
+        const terms = new Map();
+        const tokens = tokenize(text);
+        for (const t of tokens) terms.set(t, (terms.get(t) || 0) + 1);
+        for (const t of terms.keys()) {
+            if (!postings.has(t)) postings.set(t, new Set());
+            postings.get(t).add(key);
+        }
+        docs.set(key, {
+            folder,
+            file,
+            meta: parseFrontMatter(text).meta,
+            lines: text.split("\n"),
+            terms,
+            length: tokens.length,
+        });
+        totalLength += tokens.length;
+    }
+
+    async function updateFile(folder, file) {
+        try {
+            add(
+                folder,
+                file,
+                await fs.readFile(path.join(folder, file), "utf-8"),
+            );
+        } catch {
+            remove(keyOf(folder, file));
+        }
+    }
+
+    function removeFile(folder, file) {
+        remove(keyOf(folder, file));
+    }
+
+    function removeFolder(folder) {
+        building.delete(folder);
+        for (const [key, doc] of docs) if (doc.folder === folder) remove(key);
+    }
+
+    /** (Re)index every file of a folder. */
+    function addFolder(folder) {
+        removeFolder(folder);
+        const done = (async () => {
+            for (const file of await scan(folder)) {
+                if (building.get(folder) !== done) return;
+                await updateFile(folder, file);
+            }
+        })();
+        building.set(folder, done);
+        return done;
+    }
+
+    /**
+     * Apply a watcher event ({ type, folder, path }).
+     * @param {{type: string, folder: string, path: string}} event
+     */
+    function apply(event) {
+        if (!building.has(event.folder)) return;
+        if (event.type === "add" || event.type === "change")
+            return updateFile(event.folder, event.path);
+        if (event.type === "unlink") removeFile(event.folder, event.path);
+    }
+
+    /**
+     * Front matter of every indexed file of a folder that has any.
+     * @param {string} folder
+     * @returns {Promise<Object<string, object>>} file -> metadata
+     */
+    async function folderMeta(folder) {
+        await building.get(folder);
+        const result = {};
+        for (const doc of docs.values())
+            if (doc.folder === folder && doc.meta) result[doc.file] = doc.meta;
+        return result;
+    }
+
+    /* index terms starting with a query term; exact hits weigh most */
+    function expand(word) {
+        const out = [];
+        for (const term of postings.keys())
+            if (term.startsWith(word))
+                out.push([term, term === word ? 1 : PREFIX_WEIGHT]);
+        return out;
+    }
+
+    /**
+     * Run a query against the given folders.
+     * @param {string} input - Query string (see parseQuery)
+     * @param {string[]} folders - Folders to search
+     * @returns {Promise<{folder: string, file: string, score: number, matches: {line: number, text: string}[]}[]>}
+     */
+    async function search(input, folders) {
+        const q = parseQuery(input);
+        await Promise.all(folders.map((f) => building.get(f)));
+
+        const folderSet = new Set(
+            folders.filter((f) =>
+                q.folder.every((name) =>
+                    f.toLowerCase().includes(name.toLowerCase()),
+                ),
+            ),
+        );
+        const pathTests = q.path.map(pathMatcher);
+        const words = [...q.terms, ...q.phrases.flat()];
+        const expanded = words.map((w) => {
+            const terms = expand(w);
+            const df = new Set();
+            for (const [t] of terms) for (const k of postings.get(t)) df.add(k);
+            return { word: w, terms, df: df.size };
+        });
+        const phrases = q.phrases.map(phraseRegex);
+        const regexContext = q.regex && vm.createContext({ re: q.regex });
+        const deadline = Date.now() + REGEX_TIMEOUT_MS;
+
+        const n = docs.size || 1;
+        const avgLength = totalLength / n || 1;
+        const results = [];
+
+        for (const doc of docs.values()) {
+            if (!folderSet.has(doc.folder)) continue;
+            if (!pathTests.every((test) => test(doc.file))) continue;
+            if (!metaMatches(doc.meta, q)) continue;
+
+            const file = doc.file.toLowerCase();
+            let score = 0,
+                ok = true;
+            for (const { word, terms, df } of expanded) {
+                let tf = 0;
+                for (const [t, weight] of terms)
+                    tf += (doc.terms.get(t) || 0) * weight;
+                const inPath = file.includes(word);
+                if (!tf && !inPath) {
+                    ok = false;
+                    break;
+                }
+                const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+                score +=
+                    (idf * tf * (K1 + 1)) /
+                    (tf + K1 * (1 - B + (B * doc.length) / avgLength));
+                if (inPath) score += idf * PATH_BOOST;
+            }
+            if (!ok) continue;
+
+            const matches = [];
+            const phraseHits = phrases.map(() => false);
+            let regexHits = 0;
+            const regexHit =
+                regexContext && regexLines(regexContext, doc.lines, deadline);
+            doc.lines.forEach((text, i) => {
+                const lower = text.toLowerCase();
+                let hit = words.some((w) => lower.includes(w));
+                phrases.forEach((re, p) => {
+                    if (re.test(text)) hit = phraseHits[p] = true;
+                });
+                if (regexHit && regexHit[i]) {
+                    hit = true;
+                    regexHits++;
+                }
+                if (hit && matches.length < MAX_MATCHES)
+                    matches.push({ line: i + 1, text: text.trim() });
+            });
+            if (phraseHits.includes(false)) continue;
+            if (q.regex && !regexHits) continue;
+
+            /* regex-only queries rank by number of matching lines */
+            score += regexHits ? Math.log(1 + regexHits) : 0;
+            results.push({
+                folder: doc.folder,
+                file: doc.file,
+                score: Math.round(score * 1000) / 1000,
+                matches,
+            });
+        }
+
+        return results.sort(
+            (a, b) =>
+                b.score - a.score ||
+                a.folder.localeCompare(b.folder) ||
+                a.file.localeCompare(b.file),
+        );
+    }
+
+    return {
+        addFolder,
+        removeFolder,
+        updateFile,
+        removeFile,
+        apply,
+        folderMeta,
+        search,
+    };
+}
+
+module.exports = { createSearchIndex, parseQuery };
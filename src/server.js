@@ -3,43 +3,164 @@
 const path = require("node:path");
 const fs = require("node:fs/promises");
 const http = require("node:http");
+const https = require("node:https");
 const express = require("express");
 const { WebSocketServer } = require("ws");
-const { createWatcher, createConfigWatcher } = require("./watcher");
+const { createWatcher, createConfigWatcher, ASSET_RE } = require("./watcher");
 const config = require("./config");
+const { mountVendor } = require("./vendor");
+const { renderFile, exportSite, exportDocument } = require("./render");
+const { createSearchIndex } = require("./search");
+const { parseFrontMatter } = require("./frontmatter");
+const { createLinkGraph, linkedFiles } = require("./links");
+const { createAccess } = require("./access");
+const git = require("./git");
+const { contentVersion, createSnapshotStore } = require("./snapshots");
+const { snapshotDir } = require("./daemon");
+const { version } = require("../package.json");
+
+/* the viewer only runs its own scripts; documents may still embed local
+   and remote images and media */
+const CSP = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: blob: http: https:",
+    "media-src 'self' http: https:",
+    "frame-src 'self'",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'none'",
+    "frame-ancestors 'self'",
+].join("; ");
+
+/* SVG opened straight from a linked folder runs sandboxed, in an opaque
+   origin that cannot reach the API */
+const SANDBOX_CSP =
+    "sandbox; default-src 'none'; img-src 'self' data:; media-src 'self'; style-src 'unsafe-inline'";
 
 const watchers = new Map();
 let configWatcher = null;
+/* set by createServer; the daemon passes its log-file writer */
+let log = () => {};
+/* set by createServer for a single-file preview: the only documents
+   (absolute paths) listed, indexed and watched */
+let onlyDocuments = null;
+/* created by createServer, once the instance (and so its directory) is known */
+let snapshots = null;
 
 /* ── Utilities ─────────────────────────────────────────────────────── */
 
-async function scanMarkdown(dir, root = dir) {
+const isWithin = (parent, child) => {
+    const rel = path.relative(parent, child);
+    return !rel.startsWith("..") && !path.isAbsolute(rel);
+};
+
+async function scanDocuments(dir, root = dir) {
     const results = [];
     try {
         const entries = await fs.readdir(dir, { withFileTypes: true });
         for (const e of entries) {
             const full = path.join(dir, e.name);
             const rel = path.relative(root, full);
-            if (config.isIgnored(rel)) continue;
+            if (config.isIgnored(rel, root)) continue;
             if (e.isDirectory())
-                results.push(...(await scanMarkdown(full, root)));
-            else if (e.name.toLowerCase().endsWith(".md")) results.push(rel);
+                results.push(...(await scanDocuments(full, root)));
+            else if (config.docType(e.name)) results.push(rel);
         }
     } catch {}
     return results.sort();
 }
 
+/* the documents the server shows from a folder */
+async function listDocuments(folder) {
+    if (!onlyDocuments) return scanDocuments(folder);
+    const files = [];
+    for (const abs of onlyDocuments) {
+        if (!isWithin(folder, abs)) continue;
+        try {
+            if ((await fs.stat(abs)).isFile())
+                files.push(path.relative(folder, abs));
+        } catch {}
+    }
+    return files.sort();
+}
+
+/* a single-file preview's documents plus the images and media they
+   link to: all it watches and serves */
+async function previewFiles(folder) {
+    const files = onlyDocuments.filter((abs) => isWithin(folder, abs));
+    for (const abs of [...files]) {
+        let text;
+        try {
+            text = await fs.readFile(abs, "utf-8");
+        } catch {
+            continue;
+        }
+        for (const target of linkedFiles(abs, text))
+            if (ASSET_RE.test(target) && isWithin(folder, target))
+                files.push(target);
+    }
+    return files;
+}
+
 function broadcast(wss, data) {
     const msg = JSON.stringify(data);
     for (const c of wss.clients) if (c.readyState === 1) c.send(msg);
 }
 
+/* built from each watched folder and kept current by its watcher */
+const searchIndex = createSearchIndex({ scan: listDocuments });
+const linkGraph = createLinkGraph({
+    scan: async (folder) => (await listDocuments(folder)).filter(isLinkable),
+});
+
+/* files opened by path that are no configured document type */
+const PLAIN_TEXT = { kind: "text", lang: "" };
+
+/* text and source files have no Markdown links to follow */
+const isLinkable = (file) => config.docType(file)?.kind !== "text";
+
+async function scanLinkable(folder) {
+    return (await scanDocuments(folder)).filter(isLinkable);
+}
+
 function startWatcher(folder, wss) {
     if (!watchers.has(folder)) {
+        /* a preview follows the assets its documents link to as they change */
+        const watchLinked = () =>
+            previewFiles(folder).then((files) =>
+                watchers.get(folder)?.add(files),
+            );
         watchers.set(
             folder,
-            createWatcher(folder, (d) => broadcast(wss, d)),
+            createWatcher(
+                folder,
+                async (d) => {
+                    if (d.type === "ignore-changed") {
+                        /* files may have appeared or vanished: start over */
+                        stopWatcher(folder);
+                        startWatcher(folder, wss);
+                        return broadcast(wss, { type: "folders-changed" });
+                    }
+                    /* update first so clients refetching backlinks see the change */
+                    const [, , version] = await Promise.all([
+                        searchIndex.apply(d),
+                        isLinkable(d.path) && linkGraph.apply(d),
+                        snapshots.apply(d),
+                    ]);
+                    if (onlyDocuments && d.type !== "asset") watchLinked();
+                    broadcast(wss, version ? { ...d, version } : d);
+                },
+                log,
+                onlyDocuments?.filter((abs) => isWithin(folder, abs)),
+            ),
         );
+        if (onlyDocuments) watchLinked();
+        searchIndex.addFolder(folder);
+        linkGraph.addFolder(folder);
+        snapshots.addFolder(folder);
     }
 }
 
@@ -48,18 +169,18 @@ function stopWatcher(folder) {
     if (w) {
         w.close();
         watchers.delete(folder);
+        searchIndex.removeFolder(folder);
+        linkGraph.removeFolder(folder);
+        snapshots.removeFolder(folder);
     }
 }
 
+/* restart every watched folder, linked or not, once ignore rules changed */
 function restartAllWatchers(wss) {
-    for (const [folder, w] of watchers) {
-        w.close();
-    }
-    watchers.clear();
+    const folders = [...watchers.keys()];
+    for (const folder of folders) stopWatcher(folder);
     config.clearGlobCache();
-    for (const folder of config.getFolders()) {
-        startWatcher(folder, wss);
-    }
+    for (const folder of folders) startWatcher(folder, wss);
 }
 
 function syncWatchers(wss, extraDirs = []) {
@@ -84,53 +205,106 @@ function syncWatchers(wss, extraDirs = []) {
     config.clearGlobCache();
 }
 
-async function searchFiles(folders, query) {
-    const results = [];
-    const q = query.toLowerCase();
-
-    for (const folder of folders) {
-        for (const file of await scanMarkdown(folder)) {
-            try {
-                const lines = (
-                    await fs.readFile(path.join(folder, file), "utf-8")
-                ).split("\n");
-                const matches = lines
-                    .map((text, i) => ({ line: i + 1, text: text.trim() }))
-                    .filter((m) => m.text.toLowerCase().includes(q));
-
-                if (matches.length || file.toLowerCase().includes(q))
-                    results.push({ folder, file, matches });
-            } catch {}
-        }
-    }
-    return results;
-}
-
 /* ── Server ────────────────────────────────────────────────────────── */
 
-async function createServer({ port, extraDirs = [] }) {
-    config.ensureDefaults();
+/**
+ * Start the viewer server.
+ * @param {object} opts
+ * @param {number} opts.port
+ * @param {string} [opts.host] - Bind address (default: loopback only)
+ * @param {string|null} [opts.token] - Access token required by /api/*,
+ *   /files/* and the WebSocket; null disables the check
+ * @param {boolean} [opts.readOnly] - Reject linking, unlinking, ignore
+ *   changes, directory browsing and saving files
+ * @param {{cert: Buffer, key: Buffer}} [opts.tls] - Serve HTTPS
+ * @param {string[]} [opts.extraDirs] - Folders shown without linking them
+ * @param {boolean} [opts.exclusive] - Show only extraDirs: ignore linked
+ *   folders and never write or watch the config file
+ * @param {string[]} [opts.onlyFiles] - Absolute paths; list, index,
+ *   watch and serve just these documents and the assets they link to
+ * @param {function(...*): void} [opts.log] - Logger for watcher events,
+ *   request errors and lifecycle messages
+ * @returns {Promise<{port: number, close: function(): Promise<void>}>}
+ *   once listening; close() stops watchers and disconnects clients
+ */
+async function createServer({
+    port,
+    host = "127.0.0.1",
+    token = null,
+    readOnly = false,
+    tls = null,
+    extraDirs = [],
+    exclusive = false,
+    onlyFiles = null,
+    log: logger = () => {},
+}) {
+    log = logger;
+    onlyDocuments = onlyFiles;
+    /* a preview leaves nothing behind: its history lives in memory */
+    snapshots = createSnapshotStore({
+        scan: listDocuments,
+        dir: exclusive ? null : snapshotDir(),
+    });
+    if (!exclusive) config.ensureDefaults();
 
     const app = express();
-    const server = http.createServer(app);
-    const wss = new WebSocketServer({ server });
+    const server = tls ? https.createServer(tls, app) : http.createServer(app);
+    const access = token ? createAccess({ token, port, secure: !!tls }) : null;
+    const wss = new WebSocketServer({
+        server,
+        verifyClient: access ? ({ req }) => access.authorized(req) : undefined,
+    });
+    /* server errors (EADDRINUSE…) are re-emitted here; listen() reports them */
+    wss.on("error", () => {});
 
+    app.use((_req, res, next) => {
+        res.setHeader("Content-Security-Policy", CSP);
+        res.setHeader("X-Content-Type-Options", "nosniff");
+        next();
+    });
+    if (access) {
+        app.use(access.login);
+        app.use(["/api", "/files"], access.requireToken);
+    }
     app.use(express.static(path.join(__dirname, "public")));
-    app.use(express.json());
+    mountVendor(app);
+    /* editor saves carry whole documents */
+    app.use(express.json({ limit: "10mb" }));
+
+    /* deep links (/view/<folder>/<path>) are resolved client-side */
+    app.get("/view/*", (_req, res) =>
+        res.sendFile(path.join(__dirname, "public", "index.html")),
+    );
 
     const getAllFolders = () => {
-        const linked = config.getFolders();
+        const linked = exclusive ? [] : config.getFolders();
         for (const d of extraDirs) if (!linked.includes(d)) linked.push(d);
         return linked;
     };
 
-    const isWithin = (parent, child) => {
-        const rel = path.relative(parent, child);
-        return !rel.startsWith("..") && !path.isAbsolute(rel);
-    };
+    /* guards every route that changes the config or files, or that lists
+       directories; on the route itself, so that Express's case-insensitive,
+       trailing-slash-tolerant matching cannot get around it */
+    const requireWritable = (_req, res, next) =>
+        readOnly
+            ? res.status(403).json({ error: "server is read-only" })
+            : next();
 
     /* ── Routes ────────────────────────────────────────────────────── */
 
+    app.get("/api/health", (_req, res) => {
+        res.json({
+            ok: true,
+            version,
+            pid: process.pid,
+            uptime: Math.round(process.uptime()),
+            readOnly,
+            folders: getAllFolders().length,
+            watchers: watchers.size,
+            clients: wss.clients.size,
+        });
+    });
+
     app.get("/api/folders", async (_req, res) => {
         const folders = getAllFolders();
         const names = config.getDisplayNames(folders);
@@ -138,43 +312,195 @@ async function createServer({ port, extraDirs = [] }) {
             folders.map(async (folder, i) => ({
                 folder,
                 name: names[i],
-                files: await scanMarkdown(folder),
+                files: await listDocuments(folder),
+                trusted: config.isTrusted(folder),
+                meta: await searchIndex.folderMeta(folder),
+                versions: await snapshots.folderVersions(folder),
             })),
         );
         res.json(result);
     });
 
-    app.get("/api/file", async (req, res) => {
+    /* validate ?folder=&path= against linked folders; null if rejected */
+    const resolveFile = (req, res) => {
         const { folder, path: rel } = req.query;
-        if (!folder || !rel)
-            return res.status(400).json({ error: "folder and path required" });
-        if (!getAllFolders().includes(folder))
-            return res.status(403).json({ error: "folder not linked" });
-
+        if (!folder || !rel) {
+            res.status(400).json({ error: "folder and path required" });
+            return null;
+        }
+        if (!getAllFolders().includes(folder)) {
+            res.status(403).json({ error: "folder not linked" });
+            return null;
+        }
         const abs = path.resolve(folder, rel);
-        if (!isWithin(folder, abs))
-            return res.status(403).json({ error: "forbidden" });
+        if (!isWithin(folder, abs) || (onlyFiles && !onlyFiles.includes(abs))) {
+            res.status(403).json({ error: "forbidden" });
+            return null;
+        }
+        return { folder, rel: path.relative(folder, abs), abs };
+    };
+
+    app.get("/api/file", async (req, res) => {
+        const file = resolveFile(req, res);
+        if (!file) return;
+        try {
+            const content = await fs.readFile(file.abs, "utf-8");
+            const type = config.docType(file.rel) || PLAIN_TEXT;
+            /* what this reader saw, for "changed since your last visit" */
+            if (config.docType(file.rel)) snapshots.viewed(file.abs, content);
+            res.json({
+                content,
+                version: contentVersion(content),
+                meta:
+                    type.kind === "text"
+                        ? null
+                        : parseFrontMatter(content).meta,
+                ...type,
+            });
+        } catch {
+            res.status(404).json({ error: "not found" });
+        }
+    });
+
+    /* save from the in-browser editor; `version` is the one the edit
+       started from (GET /api/file), so changes made on disk since then
+       are reported as a conflict instead of being overwritten */
+    app.put("/api/file", requireWritable, async (req, res) => {
+        const file = resolveFile(req, res);
+        if (!file) return;
+        const { content, version: base } = req.body;
+        if (typeof content !== "string" || !base)
+            return res
+                .status(400)
+                .json({ error: "content and version required" });
+        const type = config.docType(file.rel);
+        if (!type) return res.status(400).json({ error: "not a document" });
+
+        let current;
+        try {
+            current = await fs.readFile(file.abs, "utf-8");
+        } catch {
+            return res.status(404).json({ error: "not found" });
+        }
+        if (contentVersion(current) !== base)
+            return res.status(409).json({
+                error: "file changed on disk",
+                content: current,
+                version: contentVersion(current),
+            });
+
+        try {
+            await fs.writeFile(file.abs, content, "utf-8");
+        } catch (e) {
+            log("error", "save", file.abs, e);
+            return res.status(500).json({ error: "cannot write file" });
+        }
+        log("saved", file.abs);
+        res.json({
+            version: contentVersion(content),
+            meta: type.kind === "text" ? null : parseFrontMatter(content).meta,
+        });
+    });
 
+    /* `peekmd goto <file>[:line]`: every open viewer shows the file,
+       scrolled to the block rendered from that source line */
+    app.post("/api/goto", async (req, res) => {
+        const { file, line = null } = req.body;
+        if (typeof file !== "string" || !path.isAbsolute(file))
+            return res.status(400).json({ error: "absolute file required" });
+        if (line !== null && !(Number.isInteger(line) && line > 0))
+            return res
+                .status(400)
+                .json({ error: "line must be a positive integer" });
+        const abs = path.resolve(file);
+        /* the innermost linked folder holding it */
+        const folder = getAllFolders()
+            .filter((f) => f !== abs && isWithin(f, abs))
+            .sort((a, b) => b.length - a.length)[0];
+        if (!folder || (onlyFiles && !onlyFiles.includes(abs)))
+            return res.status(404).json({ error: "not in a linked folder" });
+        const rel = path.relative(folder, abs).split(path.sep).join("/");
+        if (!config.docType(rel) || config.isIgnored(rel, folder))
+            return res.status(400).json({ error: "not a document" });
         try {
-            res.json({ content: await fs.readFile(abs, "utf-8") });
+            await fs.access(abs);
+        } catch {
+            return res.status(404).json({ error: "not found" });
+        }
+        broadcast(wss, { type: "goto", folder, path: rel, line });
+        res.json({ folder, path: rel, line, viewers: wss.clients.size });
+    });
+
+    /* server-side rendering for scripts and agents */
+    app.get("/api/render", async (req, res) => {
+        const file = resolveFile(req, res);
+        if (!file) return;
+        try {
+            const content = await fs.readFile(file.abs, "utf-8");
+            const type = config.docType(file.rel) || PLAIN_TEXT;
+            res.json({
+                folder: file.folder,
+                path: file.rel,
+                kind: type.kind,
+                meta:
+                    type.kind === "text"
+                        ? null
+                        : parseFrontMatter(content).meta,
+                html: await renderFile(file.folder, file.rel, {
+                    trusted: config.isTrusted(file.folder),
+                }),
+            });
         } catch {
             res.status(404).json({ error: "not found" });
         }
     });
 
-    app.post("/api/link", async (req, res) => {
+    /* files whose relative links point at this one */
+    app.get("/api/backlinks", async (req, res) => {
+        const file = resolveFile(req, res);
+        if (!file) return;
+        res.json(await linkGraph.backlinks(file.abs));
+    });
+
+    /* raw assets (images, PDFs, video…) referenced from Markdown files */
+    app.get("/files/:folder/*", async (req, res) => {
+        const { folder } = req.params;
+        if (!getAllFolders().includes(folder))
+            return res.status(403).json({ error: "folder not linked" });
+
+        const abs = path.resolve(folder, req.params[0]);
+        const rel = path.relative(folder, abs).split(path.sep).join("/");
+        /* only what documents embed, and nothing hidden */
+        if (
+            !isWithin(folder, abs) ||
+            !ASSET_RE.test(rel) ||
+            config.isHidden(rel, folder) ||
+            (onlyFiles && !(await previewFiles(folder)).includes(abs))
+        )
+            return res.status(403).json({ error: "forbidden" });
+
+        if (/\.svg$/i.test(rel))
+            res.setHeader("Content-Security-Policy", SANDBOX_CSP);
+        /* send() handles MIME types, conditional GETs and Range requests */
+        res.sendFile(abs, { dotfiles: "allow" }, (err) => {
+            if (err && !res.headersSent)
+                res.status(err.status || 404).json({ error: "not found" });
+        });
+    });
+
+    app.post("/api/link", requireWritable, async (req, res) => {
         const { folder } = req.body;
         if (!folder) return res.status(400).json({ error: "folder required" });
 
         const result = config.linkFolder(folder);
         if (result.error) return res.status(400).json(result);
         if (result.added) startWatcher(result.path, wss);
-        const files = result.added ? await scanMarkdown(result.path) : [];
+        const files = result.added ? await scanDocuments(result.path) : [];
         broadcast(wss, { type: "folders-changed" });
         res.json({ ...result, files });
     });
 
-    app.post("/api/unlink", (req, res) => {
+    app.post("/api/unlink", requireWritable, (req, res) => {
         const { folder } = req.body;
         if (!folder) return res.status(400).json({ error: "folder required" });
 
@@ -184,7 +510,7 @@ async function createServer({ port, extraDirs = [] }) {
         res.json(result);
     });
 
-    app.get("/api/browse", async (req, res) => {
+    app.get("/api/browse", requireWritable, async (req, res) => {
         const resolved = path.resolve(
             req.query.path || require("node:os").homedir(),
         );
@@ -207,10 +533,79 @@ async function createServer({ port, extraDirs = [] }) {
     });
 
     app.get("/api/search", async (req, res) => {
-        const { q } = req.query;
+        const { q, folder } = req.query;
         if (!q || q.length < 2)
             return res.status(400).json({ error: "query too short" });
-        res.json(await searchFiles(getAllFolders(), q));
+        const folders = getAllFolders().filter((f) => !folder || f === folder);
+        try {
+            res.json(await searchIndex.search(q, folders));
+        } catch (e) {
+            res.status(400).json({ error: e.message });
+        }
+    });
+
+    /* ── History routes ────────────────────────────────────────────── */
+
+    /* last commit of the file and whether it has uncommitted changes */
+    app.get("/api/git/info", async (req, res) => {
+        const file = resolveFile(req, res);
+        if (!file) return;
+        res.json(await git.fileInfo(file.abs));
+    });
+
+    app.get("/api/git/log", async (req, res) => {
+        const file = resolveFile(req, res);
+        if (!file) return;
+        if (!(await git.workTree(file.abs)))
+            return res.status(404).json({ error: "not in a git work tree" });
+        try {
+            res.json(await git.fileLog(file.abs));
+        } catch {
+            res.json([]);
+        }
+    });
+
+    /* both sides of a diff, rendered by the client; `from` defaults to
+       HEAD, `to` to the working tree. A side is null where the file did
+       not exist. */
+    app.get("/api/git/diff", async (req, res) => {
+        const file = resolveFile(req, res);
+        if (!file) return;
+        const { from = "HEAD", to = "" } = req.query;
+        if (![from, to].every((r) => !r || git.REV_RE.test(r)))
+            return res.status(400).json({ error: "invalid revision" });
+        if (!(await git.workTree(file.abs)))
+            return res.status(404).json({ error: "not in a git work tree" });
+
+        const side = async (rev) =>
+            rev
+                ? git.fileAt(file.abs, rev)
+                : fs.readFile(file.abs, "utf-8").catch(() => null);
+        const [before, after] = await Promise.all([side(from), side(to)]);
+        res.json({
+            from: { rev: from, content: before },
+            to: { rev: to || null, content: after },
+            ...(config.docType(file.rel) || PLAIN_TEXT),
+        });
+    });
+
+    /* a revision this server recorded (see snapshots.viewed) against the
+       file as it is now, in the shape of /api/git/diff */
+    app.get("/api/snapshots/diff", async (req, res) => {
+        const file = resolveFile(req, res);
+        if (!file) return;
+        const rev = await snapshots.revision(file.abs, req.query.from || "");
+        if (!rev)
+            return res.status(404).json({ error: "revision not available" });
+        let content = null;
+        try {
+            content = await fs.readFile(file.abs, "utf-8");
+        } catch {}
+        res.json({
+            from: { rev: rev.version, time: rev.time, content: rev.content },
+            to: { rev: null, content },
+            ...(config.docType(file.rel) || PLAIN_TEXT),
+        });
     });
 
     /* ── Ignore routes ─────────────────────────────────────────────── */
@@ -219,11 +614,12 @@ async function createServer({ port, extraDirs = [] }) {
         res.json(config.getIgnorePatterns());
     });
 
-    app.post("/api/ignore", (req, res) => {
-        const { pattern } = req.body;
+    app.post("/api/ignore", requireWritable, (req, res) => {
+        const { pattern, folder } = req.body;
         if (!pattern)
             return res.status(400).json({ error: "pattern required" });
-        const result = config.addIgnorePattern(pattern);
+        const result = config.addIgnorePattern(pattern, folder);
+        if (result.error) return res.status(400).json(result);
         if (result.added) {
             restartAllWatchers(wss);
             broadcast(wss, { type: "folders-changed" });
@@ -231,11 +627,11 @@ async function createServer({ port, extraDirs = [] }) {
         res.json(result);
     });
 
-    app.post("/api/unignore", (req, res) => {
-        const { pattern } = req.body;
+    app.post("/api/unignore", requireWritable, (req, res) => {
+        const { pattern, folder } = req.body;
         if (!pattern)
             return res.status(400).json({ error: "pattern required" });
-        const result = config.removeIgnorePattern(pattern);
+        const result = config.removeIgnorePattern(pattern, folder);
         if (result.removed) {
             restartAllWatchers(wss);
             broadcast(wss, { type: "folders-changed" });
@@ -247,30 +643,104 @@ async function createServer({ port, extraDirs = [] }) {
 
     for (const folder of getAllFolders()) startWatcher(folder, wss);
 
-    configWatcher = createConfigWatcher(() => {
-        syncWatchers(wss, extraDirs);
-        broadcast(wss, { type: "folders-changed" });
+    if (!exclusive)
+        configWatcher = createConfigWatcher(() => {
+            syncWatchers(wss, extraDirs);
+            broadcast(wss, { type: "folders-changed" });
+        }, log);
+
+    /* body-parser rejects malformed and oversized bodies with a 4xx
+       status: the client's mistake, reported back and not logged */
+    app.use((err, req, res, _next) => {
+        const status = err.status || err.statusCode || 500;
+        if (status < 500)
+            return res.status(status).json({ error: err.message });
+        log("error", req.method, req.originalUrl, err);
+        res.status(status).json({ error: "internal error" });
     });
 
-    return new Promise((resolve) => server.listen(port, resolve));
+    async function close() {
+        log("shutting down");
+        for (const folder of [...watchers.keys()]) stopWatcher(folder);
+        await configWatcher?.close();
+        configWatcher = null;
+        for (const client of wss.clients) client.close(1001, "server stopped");
+        wss.close();
+        await new Promise((resolve) => {
+            server.close(resolve);
+            server.closeIdleConnections();
+            /* clients that ignore the close handshake */
+            setTimeout(() => server.closeAllConnections(), 2000).unref();
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+            log(`listening on ${host}:${server.address().port}`);
+            resolve({ port: server.address().port, close });
+        });
+    });
 }
 
 /* ── CLI helpers (used by bin/peekmd.js for AI-agent commands) ──── */
 
 async function searchCli(folders, query) {
     config.ensureDefaults();
-    return searchFiles(folders, query);
+    const index = createSearchIndex({ scan: scanDocuments });
+    await Promise.all(folders.map((f) => index.addFolder(f)));
+    return index.search(query, folders);
 }
 
 async function listFilesCli(folders) {
     config.ensureDefaults();
     const result = [];
     const names = config.getDisplayNames(folders);
+    const index = createSearchIndex({ scan: scanDocuments });
     for (let i = 0; i < folders.length; i++) {
-        const files = await scanMarkdown(folders[i]);
-        result.push({ folder: folders[i], name: names[i], files });
+        await index.addFolder(folders[i]);
+        result.push({
+            folder: folders[i],
+            name: names[i],
+            files: await scanDocuments(folders[i]),
+            meta: await index.folderMeta(folders[i]),
+        });
     }
     return result;
 }
 
-module.exports = { createServer, searchCli, listFilesCli };
+async function checkLinksCli(folders) {
+    config.ensureDefaults();
+    const graph = createLinkGraph({ scan: scanLinkable });
+    await Promise.all(folders.map((f) => graph.addFolder(f)));
+    return graph.broken(folders);
+}
+
+async function exportCli(folder, outDir) {
+    config.ensureDefaults();
+    return exportSite(folder, await scanDocuments(folder), outDir, {
+        trusted: config.isTrusted(folder),
+    });
+}
+
+/* one document as a self-contained page; it may embed assets from the
+   linked folder holding it (the innermost one), else its own directory */
+async function exportFileCli(file, outFile) {
+    const root =
+        config
+            .getFolders()
+            .filter((f) => isWithin(f, file))
+            .sort((a, b) => b.length - a.length)[0] || path.dirname(file);
+    return exportDocument(root, path.relative(root, file), outFile, {
+        trusted: config.isTrusted(root),
+    });
+}
+
+module.exports = {
+    createServer,
+    searchCli,
+    listFilesCli,
+    checkLinksCli,
+    exportCli,
+    exportFileCli,
+};
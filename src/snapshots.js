@@ -0,0 +1,238 @@
+"use strict";
+
+const path = require("node:path");
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+
+/* revisions kept per file, oldest dropped first */
+const KEEP = 20;
+/* larger documents are not snapshotted */
+const MAX_BYTES = 512 * 1024;
+
+/* identifies a file's content: editors save against it and browsers
+   remember the one they last showed */
+const contentVersion = (content) =>
+    crypto.createHash("sha1").update(content).digest("hex").slice(0, 16);
+
+/**
+ * Bounded revision history of the documents of linked folders, so a
+ * reader can see what changed since they last looked. Memory holds just
+ * the version and modification time of each file; a file's history is
+ * written to `<dir>/<hash of its path>.json` once it has been viewed, and
+ * from then on every change is added to it.
+ * Kept current by feeding it watcher events (see apply()).
+ * @param {object} opts
+ * @param {function(string): Promise<string[]>} opts.scan - Lists the
+ *   documents of a folder (relative paths)
+ * @param {string|null} [opts.dir] - Where histories are stored; without
+ *   one they are kept in memory and last as long as the store
+ */
+function createSnapshotStore({ scan, dir = null }) {
+    /* abs -> { folder, file, version, time } as on disk now */
+    const current = new Map();
+    /* folder -> Promise resolved once its initial scan is done */
+    const building = new Map();
+    /* abs -> Promise of the last history write, so writes never overlap */
+    const writing = new Map();
+    /* abs -> version last written to its history */
+    const latest = new Map();
+    /* files with a history: viewed, or found with one on disk */
+    const tracked = new Set();
+    /* abs -> revisions, when there is no dir to write them to */
+    const memory = dir ? null : new Map();
+
+    const historyFile = (abs) =>
+        crypto.createHash("sha1").update(abs).digest("hex") + ".json";
+
+    async function readHistory(abs) {
+        if (memory) return [...(memory.get(abs) || [])];
+        try {
+            return JSON.parse(
+                await fs.readFile(path.join(dir, historyFile(abs)), "utf-8"),
+            ).revisions;
+        } catch {
+            return [];
+        }
+    }
+
+    /* append a revision unless it is already the latest one */
+    function record(abs, rev) {
+        tracked.add(abs);
+        if (
+            latest.get(abs) === rev.version ||
+            Buffer.byteLength(rev.content) > MAX_BYTES
+        )
+            return writing.get(abs) || Promise.resolve();
+        const done = (writing.get(abs) || Promise.resolve()).then(async () => {
+            const revisions = await readHistory(abs);
+            latest.set(abs, rev.version);
+            if (revisions.at(-1)?.version === rev.version) return;
+            revisions.push({
+                version: rev.version,
+                time: rev.time,
+                content: rev.content,
+            });
+            if (memory) return memory.set(abs, revisions.slice(-KEEP));
+            await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+            await fs.writeFile(
+                path.join(dir, historyFile(abs)),
+                JSON.stringify({
+                    file: abs,
+                    revisions: revisions.slice(-KEEP),
+                }),
+                { mode: 0o600 },
+            );
+        });
+        const settled = done.catch(() => {});
+        writing.set(abs, settled);
+        settled.then(() => {
+            if (writing.get(abs) === settled) writing.delete(abs);
+        });
+        return settled;
+    }
+
+    async function load(folder, file) {
+        const abs = path.join(folder, file);
+        try {
+            const [content, stat] = await Promise.all([
+                fs.readFile(abs, "utf-8"),
+                fs.stat(abs),
+            ]);
+            return {
+                folder,
+                file,
+                version: contentVersion(content),
+                time: stat.mtimeMs,
+                content,
+            };
+        } catch {
+            return null;
+        }
+    }
+
+    /* what current keeps of a loaded file */
+    const stamp = ({ folder, file, version, time }) => ({
+        folder,
+        file,
+        version,
+        time,
+    });
+
+    /**
+     * Re-read a file; when its content changed and it has a history, the
+     * new version goes into it (the old one is there already).
+     * @returns {Promise<string|undefined>} The current version
+     */
+    async function updateFile(folder, file) {
+        const abs = path.join(folder, file);
+        const prev = current.get(abs);
+        const next = await load(folder, file);
+        if (!next) {
+            current.delete(abs);
+            return;
+        }
+        current.set(abs, stamp(next));
+        if (prev && prev.version !== next.version && tracked.has(abs))
+            await record(abs, next);
+        return next.version;
+    }
+
+    function removeFolder(folder) {
+        building.delete(folder);
+        for (const [abs, rev] of current)
+            if (rev.folder === folder) current.delete(abs);
+    }
+
+    /**
+     * Scan every file of a folder. Files with a history that changed
+     * while nobody was watching get their new version recorded.
+     */
+    function addFolder(folder) {
+        removeFolder(folder);
+        const done = (async () => {
+            let stored;
+            try {
+                stored = new Set(dir ? await fs.readdir(dir) : []);
+            } catch {
+                stored = new Set();
+            }
+            for (const file of await scan(folder)) {
+                if (building.get(folder) !== done) return;
+                const rev = await load(folder, file);
+                if (!rev) continue;
+                const abs = path.join(folder, file);
+                current.set(abs, stamp(rev));
+                if (tracked.has(abs) || stored.has(historyFile(abs)))
+                    await record(abs, rev);
+            }
+        })();
+        building.set(folder, done);
+        return done;
+    }
+
+    /**
+     * Apply a watcher event ({ type, folder, path }).
+     * @returns {Promise<string|undefined>|undefined} For add and change
+     *   events, the file's new version
+     */
+    function apply(event) {
+        if (!building.has(event.folder)) return;
+        if (event.type === "add" || event.type === "change")
+            return updateFile(event.folder, event.path);
+        if (event.type === "unlink")
+            current.delete(path.join(event.folder, event.path));
+    }
+
+    /**
+     * Current version of every document of a folder.
+     * @param {string} folder
+     * @returns {Promise<Object<string, string>>} file -> version
+     */
+    async function folderVersions(folder) {
+        await building.get(folder);
+        const result = {};
+        for (const rev of current.values())
+            if (rev.folder === folder) result[rev.file] = rev.version;
+        return result;
+    }
+
+    /**
+     * Remember the content a reader was shown, so it can be compared
+     * with later versions.
+     * @param {string} abs
+     * @param {string} content
+     */
+    function viewed(abs, content) {
+        const version = contentVersion(content);
+        const known = current.get(abs);
+        return record(abs, {
+            version,
+            time: known?.version === version ? known.time : Date.now(),
+            content,
+        });
+    }
+
+    /**
+     * A recorded revision of a file.
+     * @param {string} abs
+     * @param {string} version
+     * @returns {Promise<{version: string, time: number, content: string}|null>}
+     */
+    async function revision(abs, version) {
+        await writing.get(abs);
+        const revisions = await readHistory(abs);
+        return revisions.find((r) => r.version === version) || null;
+    }
+
+    return {
+        addFolder,
+        removeFolder,
+        updateFile,
+        apply,
+        folderVersions,
+        viewed,
+        revision,
+    };
+}
+
+module.exports = { contentVersion, createSnapshotStore };
@@ -0,0 +1,100 @@
+"use strict";
+
+const path = require("node:path");
+const express = require("express");
+
+/* the stylesheet loads these relative to itself; woff2 is all browsers need */
+const KATEX_FONTS = [
+    "AMS-Regular",
+    "Caligraphic-Bold",
+    "Caligraphic-Regular",
+    "Fraktur-Bold",
+    "Fraktur-Regular",
+    "Main-Bold",
+    "Main-BoldItalic",
+    "Main-Italic",
+    "Main-Regular",
+    "Math-BoldItalic",
+    "Math-Italic",
+    "SansSerif-Bold",
+    "SansSerif-Italic",
+    "SansSerif-Regular",
+    "Script-Regular",
+    "Size1-Regular",
+    "Size2-Regular",
+    "Size3-Regular",
+    "Size4-Regular",
+    "Typewriter-Regular",
+].map((f) => `fonts/KaTeX_${f}.woff2`);
+
+/**
+ * Browser renderers bundled with the package so the viewer works offline.
+ * Each entry is pinned to the exact version in package.json and served from
+ * /vendor/<name>/<file>, which is what index.html loads.
+ */
+const MANIFEST = {
+    marked: { version: "15.0.12", dir: ".", files: ["marked.min.js"] },
+    mermaid: { version: "11.12.0", dir: "dist", files: ["mermaid.min.js"] },
+    "@highlightjs/cdn-assets": {
+        version: "11.12.0",
+        dir: ".",
+        files: ["highlight.min.js"],
+    },
+    katex: {
+        version: "0.16.47",
+        dir: "dist",
+        files: ["katex.min.js", "katex.min.css", ...KATEX_FONTS],
+    },
+};
+
+function packageDir(name) {
+    return path.dirname(require.resolve(`${name}/package.json`));
+}
+
+function installedVersion(name) {
+    try {
+        return require(`${name}/package.json`).version;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Absolute path of a manifest file, e.g. vendorFile("mermaid", "mermaid.min.js").
+ * @param {string} name
+ * @param {string} file
+ */
+function vendorFile(name, file) {
+    return path.join(packageDir(name), MANIFEST[name].dir, file);
+}
+
+/**
+ * Versions of the bundled renderers actually installed, e.g.
+ * `{ marked: "15.0.12", mermaid: "11.12.0" }`.
+ * @returns {Object<string, string|null>}
+ */
+function getRendererVersions() {
+    const result = {};
+    for (const name of Object.keys(MANIFEST))
+        result[name] = installedVersion(name);
+    return result;
+}
+
+/**
+ * Mount every manifest file on the app. Only listed files are reachable;
+ * the rest of each package directory stays private.
+ * @param {import("express").Express} app
+ */
+function mountVendor(app) {
+    for (const [name, entry] of Object.entries(MANIFEST)) {
+        const root = path.join(packageDir(name), entry.dir);
+        const serve = express.static(root, { index: false });
+        for (const file of entry.files)
+            app.get(`/vendor/${name}/${file}`, (req, res, next) => {
+                req.url = "/" + file;
+                serve(req, res, next);
+            });
+    }
+}
+
+module.exports = { MANIFEST, vendorFile, getRendererVersions, mountVendor };
@@ -6,23 +6,31 @@ const config = require("./config");
 
 const EVENTS = ["change", "add", "unlink"];
 
+/* non-Markdown files the viewer embeds inline and reloads on change */
+const ASSET_RE =
+    /\.(png|jpe?g|gif|webp|avif|svg|bmp|ico|pdf|mp4|webm|ogv|mov|mp3|wav|ogg)$/i;
+
 /**
- * Create a file watcher for a directory.
+ * Create a file watcher for a directory. Edits to its .gitignore or
+ * .peekmdignore reload them and broadcast { type: "ignore-changed" }.
  * @param {string} dir - Directory to watch
  * @param {function} broadcast - Callback to broadcast changes
- * @param {function} [log] - Optional logger for debug output
+ * @param {function(...*): void} [log] - Optional logger for debug output
+ * @param {string[]} [paths] - Watch just these files of dir (more can be
+ *   added with the watcher's add()) instead of all of it
  * @returns {chokidar.FSWatcher}
  */
-function createWatcher(dir, broadcast, log = () => {}) {
+function createWatcher(dir, broadcast, log = () => {}, paths = null) {
     const ignored = [
         (filePath) => {
             const rel = path.relative(dir, filePath).split(path.sep).join("/");
-            if (!rel || rel === ".") return false;
-            return config.isIgnored(rel);
+            if (!rel || rel === "." || config.IGNORE_FILES.includes(rel))
+                return false;
+            return config.isIgnored(rel, dir);
         },
     ];
 
-    const watcher = chokidar.watch(dir, {
+    const watcher = chokidar.watch(paths || dir, {
         ignoreInitial: true,
         ignored,
         usePolling: false,
@@ -33,15 +41,26 @@ function createWatcher(dir, broadcast, log = () => {}) {
         },
     });
 
-    watcher.on("ready", () => {});
-    watcher.on("error", () => {});
+    watcher.on("ready", () => log("watching", dir));
+    watcher.on("error", (err) => log("watch error in", dir, err));
 
     for (const event of EVENTS) {
         watcher.on(event, (absPath) => {
-            if (!absPath.toLowerCase().endsWith(".md")) return;
+            if (config.IGNORE_FILES.includes(path.relative(dir, absPath))) {
+                config.reloadIgnoreFiles(dir);
+                log("ignore rules changed in", dir);
+                return broadcast({ type: "ignore-changed", folder: dir });
+            }
+            const isDocument = !!config.docType(absPath);
+            if (!isDocument && !ASSET_RE.test(absPath)) return;
             const rel = path.relative(dir, absPath).split(path.sep).join("/");
-            if (config.isIgnored(rel)) return;
-            broadcast({ type: event, folder: dir, path: rel });
+            if (config.isIgnored(rel, dir)) return;
+            log(event, path.join(dir, rel));
+            broadcast(
+                isDocument
+                    ? { type: event, folder: dir, path: rel }
+                    : { type: "asset", event, folder: dir, path: rel },
+            );
         });
     }
 
@@ -51,11 +70,11 @@ function createWatcher(dir, broadcast, log = () => {}) {
 /**
  * Create a watcher for the config file to detect external changes.
  * @param {function} onChange - Callback when config file changes
- * @param {function} [log] - Optional logger
+ * @param {function(...*): void} [log] - Optional logger
  * @returns {chokidar.FSWatcher}
  */
 function createConfigWatcher(onChange, log = () => {}) {
-    const configPath = config.CONFIG_PATH;
+    const configPath = config.getConfigPath();
 
     const watcher = chokidar.watch(configPath, {
         ignoreInitial: true,
@@ -67,10 +86,14 @@ function createConfigWatcher(onChange, log = () => {}) {
         },
     });
 
-    watcher.on("change", onChange);
+    watcher.on("change", () => {
+        log("config changed");
+        onChange();
+    });
     watcher.on("ready", () => {});
+    watcher.on("error", (err) => log("config watch error", err));
 
     return watcher;
 }
 
-module.exports = { createWatcher, createConfigWatcher };
+module.exports = { createWatcher, createConfigWatcher, ASSET_RE };
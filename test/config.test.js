@@ -0,0 +1,71 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { useTempHome } = require("./helpers");
+
+const home = useTempHome();
+
+const config = require("../src/config");
+
+/* a linked folder holding the given files */
+function folderWith(files) {
+    const dir = fs.mkdtempSync(path.join(home, "docs-"));
+    for (const [rel, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+        fs.writeFileSync(path.join(dir, rel), content);
+    }
+    config.linkFolder(dir);
+    return dir;
+}
+
+test("ignore rules apply in order and the last match wins", () => {
+    const dir = folderWith({
+        ".gitignore": "drafts/\nnotes/*.md\n!notes/keep.md\n!dist/keep.md\n",
+        ".peekmdignore": "!drafts/ready.md\n",
+    });
+    const ignored = (rel) => config.isIgnored(rel, dir);
+
+    /* global defaults, then .gitignore */
+    assert.ok(ignored("dist/a.md"));
+    assert.ok(!ignored("dist/keep.md"));
+    assert.ok(ignored("drafts/a.md"));
+    /* within one file */
+    assert.ok(ignored("notes/a.md"));
+    assert.ok(!ignored("notes/keep.md"));
+    /* .peekmdignore comes after .gitignore */
+    assert.ok(!ignored("drafts/ready.md"));
+    assert.ok(!ignored("a.md"));
+});
+
+test("folder patterns come last and stay in their folder", () => {
+    const a = folderWith({ ".gitignore": "drafts/\n" });
+    const b = folderWith({});
+
+    assert.strictEqual(config.addIgnorePattern("**/secret.md", a).added, true);
+    assert.strictEqual(config.addIgnorePattern("!drafts/**", a).added, true);
+
+    assert.ok(config.isIgnored("secret.md", a));
+    assert.ok(!config.isIgnored("secret.md", b));
+    assert.ok(!config.isIgnored("secret.md"));
+    /* re-includes what the folder's .gitignore left out */
+    assert.ok(!config.isIgnored("drafts/a.md", a));
+
+    assert.strictEqual(
+        config.removeIgnorePattern("!drafts/**", a).removed,
+        true,
+    );
+    assert.ok(config.isIgnored("drafts/a.md", a));
+});
+
+test("a global re-include overrides a default pattern", () => {
+    const dir = folderWith({});
+    assert.ok(config.isIgnored("build/a.md", dir));
+    config.addIgnorePattern("!build/**");
+    assert.ok(!config.isIgnored("build/a.md", dir));
+    assert.ok(!config.isIgnored("build/a.md"));
+    config.removeIgnorePattern("!build/**");
+    assert.ok(config.isIgnored("build/a.md", dir));
+});
@@ -0,0 +1,35 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { useTempHome } = require("./helpers");
+
+const home = useTempHome();
+
+const { createServer } = require("../src/server");
+
+test("malformed request bodies are client errors", async (t) => {
+    const docs = fs.mkdtempSync(path.join(home, "docs-"));
+    const logged = [];
+    const { port, close } = await createServer({
+        port: 0,
+        exclusive: true,
+        extraDirs: [docs],
+        log: (...args) => logged.push(args),
+    });
+    t.after(close);
+
+    const res = await fetch(`http://127.0.0.1:${port}/api/goto`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: '{"file": ',
+    });
+    assert.strictEqual(res.status, 400);
+    assert.ok((await res.json()).error);
+    assert.deepStrictEqual(
+        logged.filter(([kind]) => kind === "error"),
+        [],
+    );
+});
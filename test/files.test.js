@@ -0,0 +1,49 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { useTempHome } = require("./helpers");
+
+const home = useTempHome();
+
+const { createServer } = require("../src/server");
+
+test("/files serves assets only, never dotfiles or ignored paths", async (t) => {
+    const docs = fs.mkdtempSync(path.join(home, "docs-"));
+    for (const [rel, content] of [
+        ["a.md", "# A\n"],
+        ["logo.png", "png"],
+        [".env", "SECRET=1"],
+        [".git/config", "[core]"],
+        [".hidden/logo.png", "png"],
+        ["private/logo.png", "png"],
+        [".gitignore", "private/\n"],
+    ]) {
+        fs.mkdirSync(path.dirname(path.join(docs, rel)), { recursive: true });
+        fs.writeFileSync(path.join(docs, rel), content);
+    }
+    const { port, close } = await createServer({
+        port: 0,
+        exclusive: true,
+        extraDirs: [docs],
+    });
+    t.after(close);
+
+    const get = (rel) =>
+        fetch(
+            `http://127.0.0.1:${port}/files/${encodeURIComponent(docs)}/${rel}`,
+        );
+
+    assert.strictEqual((await get("logo.png")).status, 200);
+    for (const rel of [
+        ".env",
+        ".git/config",
+        ".hidden/logo.png",
+        "private/logo.png",
+        "a.md",
+        ".gitignore",
+    ])
+        assert.strictEqual((await get(rel)).status, 403, rel);
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+const { after } = require("node:test");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+/**
+ * A fresh temporary directory, removed once the tests of the file ran.
+ * @returns {string}
+ */
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "peekmd-test-"));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Keep config, state and snapshots out of the real home directory: point
+ * HOME and the config file into a temporary one. Call it before requiring
+ * the server, which resolves its paths on load.
+ * @returns {string} The temporary home directory
+ */
+function useTempHome() {
+    const home = tempDir();
+    process.env.HOME = home;
+    process.env.PEEKMD_CONFIG = path.join(home, ".peekmd.json");
+    return home;
+}
+
+module.exports = { tempDir, useTempHome };
@@ -0,0 +1,112 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { useTempHome } = require("./helpers");
+
+const home = useTempHome();
+
+const { render, sanitizeHtml } = require("../src/public/markdown");
+const config = require("../src/config");
+const { createServer } = require("../src/server");
+
+test("sanitizer keeps allowlisted tags and attributes", () => {
+    assert.strictEqual(
+        sanitizeHtml(
+            "<details open><summary>More</summary><kbd>K</kbd></details>",
+        ),
+        '<details open=""><summary>More</summary><kbd>K</kbd></details>',
+    );
+    assert.strictEqual(
+        sanitizeHtml('<img src="a.png" alt="A" width="10">'),
+        '<img src="a.png" alt="A" width="10">',
+    );
+    assert.strictEqual(
+        sanitizeHtml('<a href="https://x.test" title="t">x</a>'),
+        '<a href="https://x.test" title="t" rel="noopener noreferrer">x</a>',
+    );
+});
+
+test("sanitizer strips other tags and attributes", () => {
+    assert.strictEqual(
+        sanitizeHtml(
+            '<p id="app" class="c" style="color:red" onclick="go()" title="t">x</p>',
+        ),
+        '<p title="t">x</p>',
+    );
+    /* dropped with their contents */
+    for (const tag of ["script", "style", "iframe", "svg", "textarea"])
+        assert.strictEqual(sanitizeHtml(`a<${tag}>b</${tag}>c`), "ac", tag);
+    /* unknown tags show as text */
+    assert.strictEqual(
+        sanitizeHtml('<form action="/x">'),
+        "&lt;form action=&quot;/x&quot;&gt;",
+    );
+    assert.strictEqual(sanitizeHtml("a<!-- hidden -->b"), "ab");
+});
+
+test("sanitizer drops javascript: and non-image data: URLs", () => {
+    for (const href of [
+        "javascript:alert(1)",
+        " JavaScript:alert(1)",
+        "java&#x09;script:alert(1)",
+        "data:text/html,<script>alert(1)</script>",
+        "data:image/png;base64,AAAA",
+    ])
+        assert.strictEqual(
+            sanitizeHtml(`<a href="${href}">x</a>`),
+            '<a rel="noopener noreferrer">x</a>',
+            href,
+        );
+    assert.strictEqual(
+        sanitizeHtml('<img src="data:image/png;base64,AAAA">'),
+        '<img src="data:image/png;base64,AAAA">',
+    );
+    assert.strictEqual(
+        sanitizeHtml('<img src="data:image/svg+xml,<svg/>">'),
+        "<img>",
+    );
+});
+
+test("unsafe Markdown links point nowhere unless trusted", () => {
+    const doc =
+        "[a](javascript:alert(1)) [b](data:text/html,x) ![c](data:image/png;base64,AAAA)";
+    const untrusted = render(doc);
+    assert.match(untrusted, /<a href="#">a<\/a>/);
+    assert.match(untrusted, /<a href="#">b<\/a>/);
+    assert.match(untrusted, /<img src="data:image\/png;base64,AAAA"/);
+    assert.match(
+        render(doc, { trusted: true }),
+        /<a href="javascript:alert\(1\)">a<\/a>/,
+    );
+    assert.match(
+        render('<div class="c" onclick="go()">x</div>', { trusted: true }),
+        /<div class="c" onclick="go\(\)">x<\/div>/,
+    );
+});
+
+test("only trusted folders render raw HTML as written", async (t) => {
+    const docs = fs.mkdtempSync(path.join(home, "docs-"));
+    fs.writeFileSync(
+        path.join(docs, "a.md"),
+        '<div class="c" onclick="go()">x</div>\n',
+    );
+    config.linkFolder(docs);
+    const { port, close } = await createServer({ port: 0 });
+    t.after(close);
+
+    const rendered = async () =>
+        (
+            await (
+                await fetch(
+                    `http://127.0.0.1:${port}/api/render?folder=${encodeURIComponent(docs)}&path=a.md`,
+                )
+            ).json()
+        ).html;
+
+    assert.match(await rendered(), /<div>x<\/div>/);
+    assert.strictEqual(config.trustFolder(docs).trusted, true);
+    assert.match(await rendered(), /<div class="c" onclick="go\(\)">x<\/div>/);
+});
@@ -0,0 +1,68 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { useTempHome } = require("./helpers");
+
+const home = useTempHome();
+
+const { createServer } = require("../src/server");
+
+test("single-file preview shows only that file and its assets", async (t) => {
+    const docs = fs.mkdtempSync(path.join(home, "docs-"));
+    const file = path.join(docs, "a.md");
+    fs.writeFileSync(
+        file,
+        '# A\n\n![logo](img/logo.png)\n\n<video src="clip.mp4"></video>\n',
+    );
+    fs.mkdirSync(path.join(docs, "img"));
+    fs.writeFileSync(path.join(docs, "img", "logo.png"), "png");
+    fs.writeFileSync(path.join(docs, "img", "other.png"), "png");
+    fs.writeFileSync(path.join(docs, "secret.md"), "# Secret\n");
+    fs.writeFileSync(path.join(docs, "clip.mp4"), "mp4");
+    const { port, close } = await createServer({
+        port: 0,
+        readOnly: true,
+        exclusive: true,
+        extraDirs: [docs],
+        onlyFiles: [file],
+    });
+    t.after(close);
+
+    const get = (route) => fetch(`http://127.0.0.1:${port}${route}`);
+    const q = (rel) => `folder=${encodeURIComponent(docs)}&path=${rel}`;
+
+    const [folder] = await (await get("/api/folders")).json();
+    assert.deepStrictEqual(folder.files, ["a.md"]);
+    const shown = await get(`/api/file?${q("a.md")}`);
+    assert.strictEqual(shown.status, 200);
+    assert.strictEqual((await get(`/api/file?${q("secret.md")}`)).status, 403);
+    assert.strictEqual(
+        (await get(`/api/render?${q("secret.md")}`)).status,
+        403,
+    );
+    assert.deepStrictEqual(
+        await (await get("/api/search?q=secret")).json(),
+        [],
+    );
+
+    const files = `/files/${encodeURIComponent(docs)}`;
+    assert.strictEqual((await get(`${files}/img/logo.png`)).status, 200);
+    assert.strictEqual((await get(`${files}/clip.mp4`)).status, 200);
+    assert.strictEqual((await get(`${files}/img/other.png`)).status, 403);
+    assert.strictEqual((await get(`${files}/secret.md`)).status, 403);
+
+    /* history is kept, but in memory: the daemons' run directory stays empty */
+    const { version } = await shown.json();
+    assert.strictEqual(
+        (await get(`/api/snapshots/diff?${q("a.md")}&from=${version}`)).status,
+        200,
+    );
+    const runDir = path.join(home, ".peekmd");
+    assert.deepStrictEqual(
+        fs.existsSync(runDir) ? fs.readdirSync(runDir) : [],
+        [],
+    );
+});
@@ -0,0 +1,48 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { useTempHome } = require("./helpers");
+
+const home = useTempHome();
+
+const { createServer } = require("../src/server");
+
+test("read-only server rejects write routes however they are spelled", async (t) => {
+    const docs = fs.mkdtempSync(path.join(home, "docs-"));
+    fs.writeFileSync(path.join(docs, "a.md"), "# A\n");
+    const { port, close } = await createServer({
+        port: 0,
+        readOnly: true,
+        exclusive: true,
+        extraDirs: [docs],
+    });
+    t.after(close);
+
+    const send = (method, route, body) =>
+        fetch(`http://127.0.0.1:${port}${route}`, {
+            method,
+            headers: { "Content-Type": "application/json" },
+            body: body && JSON.stringify(body),
+        });
+
+    for (const route of ["/api/link", "/api/link/", "/API/link", "/Api/Link/"])
+        assert.strictEqual(
+            (await send("POST", route, { folder: docs })).status,
+            403,
+            `POST ${route}`,
+        );
+    for (const route of ["/api/browse/?path=/", "/API/browse?path=/"])
+        assert.strictEqual((await send("GET", route)).status, 403, route);
+    assert.strictEqual(
+        (await send("PUT", `/API/file/?folder=${docs}&path=a.md`, {})).status,
+        403,
+    );
+    assert.strictEqual(
+        (await send("GET", `/api/file?folder=${docs}&path=a.md`)).status,
+        200,
+    );
+    assert.ok(!fs.existsSync(process.env.PEEKMD_CONFIG));
+});
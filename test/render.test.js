@@ -0,0 +1,58 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { tempDir, useTempHome } = require("./helpers");
+
+useTempHome();
+
+const { exportSite, exportDocument } = require("../src/render");
+
+/* a page linking a plain image, a dotfile, a file in a dot-directory
+   and a file its .gitignore excludes */
+function folderWithAssets() {
+    const dir = tempDir();
+    for (const [rel, content] of [
+        [
+            "a.md",
+            "# A\n\n![ok](img/ok.png) [env](.env) ![key](.private/key.png) ![out](build/out.png) ![secret](secret.png)\n",
+        ],
+        ["img/ok.png", "png"],
+        [".env", "SECRET=1"],
+        [".private/key.png", "png"],
+        ["build/out.png", "png"],
+        ["secret.png", "png"],
+        [".gitignore", "secret.png\n"],
+    ]) {
+        fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+        fs.writeFileSync(path.join(dir, rel), content);
+    }
+    return dir;
+}
+
+test("site export copies no hidden or ignored assets", async () => {
+    const dir = folderWithAssets();
+    const out = path.join(tempDir(), "site");
+
+    const result = await exportSite(dir, ["a.md"], out);
+
+    assert.strictEqual(result.assets, 1);
+    assert.ok(fs.existsSync(path.join(out, "img", "ok.png")));
+    for (const rel of [".env", ".private", "build", "secret.png"])
+        assert.ok(!fs.existsSync(path.join(out, rel)), rel);
+});
+
+test("single-file export inlines no hidden or ignored assets", async () => {
+    const dir = folderWithAssets();
+    const out = path.join(tempDir(), "a.html");
+
+    const result = await exportDocument(dir, "a.md", out);
+
+    assert.strictEqual(result.assets, 1);
+    const html = fs.readFileSync(out, "utf-8");
+    assert.match(html, /src="data:image\/png;base64,/);
+    for (const ref of [".private/key.png", "build/out.png", "secret.png"])
+        assert.ok(html.includes(`src="${ref}"`), ref);
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { useTempHome } = require("./helpers");
+
+const home = useTempHome();
+
+const { createServer } = require("../src/server");
+
+test("regex searches are bounded and reject bad patterns", async (t) => {
+    const docs = fs.mkdtempSync(path.join(home, "docs-"));
+    fs.writeFileSync(
+        path.join(docs, "a.md"),
+        "# A\n\n" + "a".repeat(40) + "b\n",
+    );
+    const { port, close } = await createServer({
+        port: 0,
+        exclusive: true,
+        extraDirs: [docs],
+    });
+    t.after(close);
+
+    const search = (q) =>
+        fetch(`http://127.0.0.1:${port}/api/search?q=${encodeURIComponent(q)}`);
+
+    const found = await search("regex:^a+b$");
+    assert.strictEqual(found.status, 200);
+    assert.deepStrictEqual(
+        (await found.json()).map((r) => r.file),
+        ["a.md"],
+    );
+
+    for (const q of ["regex:(", `regex:${"a".repeat(201)}`])
+        assert.strictEqual((await search(q)).status, 400, q);
+
+    const started = Date.now();
+    const slow = await search("regex:(a+)+$");
+    assert.strictEqual(slow.status, 400);
+    assert.match((await slow.json()).error, /too long/);
+    assert.ok(Date.now() - started < 5000);
+});
+
+test("folders shown without linking stay indexed after an ignore change", async (t) => {
+    const docs = fs.mkdtempSync(path.join(home, "docs-"));
+    fs.writeFileSync(path.join(docs, "a.md"), "# Apples\n");
+    const { port, close } = await createServer({
+        port: 0,
+        extraDirs: [docs],
+    });
+    t.after(close);
+
+    const api = (route, body) =>
+        fetch(`http://127.0.0.1:${port}${route}`, {
+            method: body ? "POST" : "GET",
+            headers: { "Content-Type": "application/json" },
+            body: body && JSON.stringify(body),
+        });
+
+    const found = async () =>
+        (await (await api("/api/search?q=apples")).json()).map((r) => r.file);
+
+    /* searching waits for the initial index build */
+    assert.deepStrictEqual(await found(), ["a.md"]);
+    assert.strictEqual(
+        (await api("/api/ignore", { pattern: "**/drafts/**" })).status,
+        200,
+    );
+    assert.deepStrictEqual(await found(), ["a.md"]);
+});
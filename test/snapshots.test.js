@@ -0,0 +1,60 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { tempDir } = require("./helpers");
+
+const { contentVersion, createSnapshotStore } = require("../src/snapshots");
+
+test("only files that have been viewed get a history", async () => {
+    const root = tempDir();
+    const docs = path.join(root, "docs");
+    const dir = path.join(root, "snapshots");
+    fs.mkdirSync(docs);
+    fs.writeFileSync(path.join(docs, "seen.md"), "one\n");
+    fs.writeFileSync(path.join(docs, "unseen.md"), "one\n");
+    const store = createSnapshotStore({
+        scan: async () => ["seen.md", "unseen.md"],
+        dir,
+    });
+    await store.addFolder(docs);
+
+    await store.viewed(path.join(docs, "seen.md"), "one\n");
+    for (const file of ["seen.md", "unseen.md"]) {
+        fs.writeFileSync(path.join(docs, file), "two\n");
+        await store.apply({ type: "change", folder: docs, path: file });
+    }
+
+    const seen = path.join(docs, "seen.md");
+    for (const content of ["one\n", "two\n"])
+        assert.ok(await store.revision(seen, contentVersion(content)));
+    assert.strictEqual(
+        await store.revision(
+            path.join(docs, "unseen.md"),
+            contentVersion("one\n"),
+        ),
+        null,
+    );
+    assert.strictEqual(fs.readdirSync(dir).length, 1);
+});
+
+test("a store without a directory keeps histories in memory", async () => {
+    const docs = tempDir();
+    const file = path.join(docs, "a.md");
+    fs.writeFileSync(file, "one\n");
+    const store = createSnapshotStore({ scan: async () => ["a.md"] });
+    await store.addFolder(docs);
+
+    await store.viewed(file, "one\n");
+    fs.writeFileSync(file, "two\n");
+    await store.apply({ type: "change", folder: docs, path: "a.md" });
+
+    for (const content of ["one\n", "two\n"])
+        assert.strictEqual(
+            (await store.revision(file, contentVersion(content)))?.content,
+            content,
+        );
+    assert.deepStrictEqual(fs.readdirSync(docs), ["a.md"]);
+});